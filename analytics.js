@@ -0,0 +1,157 @@
+// analytics.js - Latences, erreurs et tailles par endpoint, appels superflus et chronologie
+class AnalyticsController {
+  constructor() {
+    this.logs = [];
+    this.sessions = [];
+    this.analyzer = new PerformanceAnalyzer();
+    this.initElements();
+    this.initEventListeners();
+    this.loadData();
+  }
+
+  static get WATERFALL_MAX_ROWS() {
+    return 500;
+  }
+
+  initElements() {
+    this.elements = {
+      sessionFilter: document.getElementById('sessionFilter'),
+      refreshBtn: document.getElementById('refreshBtn'),
+      endpointRows: document.getElementById('endpointRows'),
+      findingRows: document.getElementById('findingRows'),
+      waterfall: document.getElementById('waterfall')
+    };
+  }
+
+  initEventListeners() {
+    this.elements.sessionFilter.addEventListener('change', () => this.render());
+    this.elements.refreshBtn.addEventListener('click', () => this.loadData());
+  }
+
+  async loadData() {
+    const [logs, sessionsResponse] = await Promise.all([
+      new LogReader(message => this.sendMessage(message)).readAll(),
+      this.sendMessage({ action: 'getSessions' })
+    ]);
+    this.logs = logs;
+    this.sessions = (sessionsResponse && sessionsResponse.sessions) || [];
+
+    // Actualiser garde la session choisie ; au premier chargement, la plus récente
+    const selected = this.elements.sessionFilter.options.length > 0 ? this.elements.sessionFilter.value : null;
+    this.elements.sessionFilter.innerHTML = this.sessions
+      .map(session => `<option value="${this.escapeHtml(session.id)}">${this.escapeHtml(session.name)} (${session.logCount})</option>`)
+      .join('') + '<option value="">Toutes les sessions</option>';
+    if (selected !== null && [...this.elements.sessionFilter.options].some(option => option.value === selected)) {
+      this.elements.sessionFilter.value = selected;
+    }
+    this.render();
+  }
+
+  selectedLogs() {
+    const sessionId = this.elements.sessionFilter.value;
+    return sessionId ? this.logs.filter(log => log.sessionId === sessionId) : this.logs;
+  }
+
+  render() {
+    const logs = this.selectedLogs();
+    const { endpoints, findings } = this.analyzer.analyze(logs);
+    this.renderEndpoints(endpoints);
+    this.renderFindings(findings);
+    this.renderWaterfall(logs);
+  }
+
+  renderEndpoints(endpoints) {
+    this.elements.endpointRows.innerHTML = endpoints
+      .map(stats => `
+        <tr>
+          <td class="url">${this.escapeHtml(stats.endpoint)}</td>
+          <td class="num">${stats.count}</td>
+          <td class="num">${this.formatDuration(stats.p50)}</td>
+          <td class="num">${this.formatDuration(stats.p90)}</td>
+          <td class="num ${stats.p99 >= 1000 ? 'slow' : ''}">${this.formatDuration(stats.p99)}</td>
+          <td class="num ${stats.errorRate > 0 ? 'failing' : ''}">${stats.errorRate} %</td>
+          <td class="num">${this.formatSize(stats.avgSize)}</td>
+          <td class="num">${this.formatSize(stats.maxSize)}</td>
+        </tr>
+      `)
+      .join('') || '<tr><td colspan="8" class="empty">Aucun appel</td></tr>';
+  }
+
+  renderFindings(findings) {
+    const labels = { duplicate: 'Doublon', 'n-plus-one': 'N+1', sequential: 'Sequentiel' };
+    this.elements.findingRows.innerHTML = findings
+      .map(finding => `
+        <tr>
+          <td class="kind-${finding.kind}">${labels[finding.kind]}</td>
+          <td>${new Date(finding.at).toLocaleTimeString()}</td>
+          <td class="url">${this.escapeHtml(finding.endpoint)}</td>
+          <td>${this.escapeHtml(finding.message)}</td>
+        </tr>
+      `)
+      .join('') || '<tr><td colspan="4" class="empty">Aucun appel superflu detecte</td></tr>';
+  }
+
+  // Une ligne par appel, barre placée proportionnellement à la durée de la session
+  renderWaterfall(logs) {
+    if (!this.elements.sessionFilter.value) {
+      this.elements.waterfall.innerHTML = '<div class="empty">Choisir une session pour afficher la chronologie.</div>';
+      return;
+    }
+
+    const { duration, rows } = this.analyzer.waterfall(logs);
+    if (rows.length === 0) {
+      this.elements.waterfall.innerHTML = '<div class="empty">Aucun appel</div>';
+      return;
+    }
+
+    const scale = Math.max(duration, 1);
+    const visible = rows.slice(0, AnalyticsController.WATERFALL_MAX_ROWS);
+    this.elements.waterfall.innerHTML = visible
+      .map(row => {
+        const isError = row.error || (row.statusCode && row.statusCode >= 400);
+        return `
+          <div class="waterfall-row" title="${this.escapeHtml(`${row.label} : +${row.offset} ms, ${row.duration} ms`)}">
+            <div class="waterfall-label">${this.escapeHtml(row.label)}</div>
+            <div class="waterfall-track">
+              <div class="waterfall-bar ${isError ? 'error' : ''}"
+                   style="left: ${(row.offset / scale) * 100}%; width: ${(row.duration / scale) * 100}%"></div>
+            </div>
+            <div>${row.duration} ms</div>
+          </div>
+        `;
+      })
+      .join('') + (rows.length > visible.length
+      ? `<div class="empty">${rows.length - visible.length} appels suivants non affiches</div>`
+      : '');
+  }
+
+  formatDuration(value) {
+    return value === undefined ? '-' : `${value} ms`;
+  }
+
+  formatSize(bytes) {
+    if (bytes === undefined) return '-';
+    if (bytes < 1024) return `${bytes} o`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} Ko`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} Mo`;
+  }
+
+  escapeHtml(text) {
+    return String(text === undefined || text === null ? '' : text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  async sendMessage(message) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(message, resolve);
+    });
+  }
+}
+
+// Initialiser le contrôleur quand la page est chargée
+document.addEventListener('DOMContentLoaded', () => {
+  new AnalyticsController();
+});
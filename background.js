@@ -1,14 +1,82 @@
 // background.js - Service Worker pour capturer les requêtes
+importScripts(
+  'lib/correlator.js',
+  'lib/endpoint-normalizer.js',
+  'lib/schema-inferrer.js',
+  'lib/yaml.js',
+  'lib/openapi-generator.js',
+  'lib/naming.js',
+  'lib/zip.js',
+  'lib/typescript-generator.js',
+  'lib/angular-service-generator.js',
+  'lib/har-converter.js',
+  'lib/mock-generator.js',
+  'lib/redactor.js',
+  'lib/log-store.js',
+  'lib/filter-engine.js',
+  'lib/coverage-report.js',
+  'lib/source-map.js',
+  'lib/request-snippets.js',
+  'lib/collection-exporter.js',
+  'lib/angular-spec-generator.js',
+  'lib/log-sink.js',
+  'lib/body-decoder.js'
+);
+
 class APILogger {
   constructor() {
-    this.logs = [];
+    // Dernières entrées seulement (rapprochement webRequest / page, DevTools) : la base
+    // complète reste dans IndexedDB et se lit page par page
+    this.recentLogs = [];
+    // Compteurs du popup, calculés au premier getStats puis tenus à jour
+    this.stats = null;
+    this.store = new LogStore();
+    this.tempRequests = new Map();
+    this.sessions = [];
+    this.activeSessionId = null;
+    this.correlator = new LogCorrelator();
+    this.bodyDecoder = new BodyDecoder();
+    this.normalizer = new EndpointNormalizer();
+    this.routeOverrides = [];
+    this.redactor = new Redactor();
+    this.redactionRules = [];
+    this.sourceMaps = new SourceMapResolver();
+    // Envoi optionnel des logs terminés vers un collecteur local
+    this.sink = new LogSink({
+      resolve: id => this.recentLogs.find(log => log.id === id) || this.store.get(id),
+      persist: queue => chrome.storage.local.set({ sinkQueue: queue }),
+      wake: when => chrome.alarms.create(LogSink.ALARM_NAME, { when }),
+      cancelWake: () => chrome.alarms.clear(LogSink.ALARM_NAME)
+    });
     this.isLogging = false;
     this.filters = {
-      urls: [], // URLs à capturer (vide = toutes)
-      methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH']
+      include: [], // URLs à capturer (vide = toutes)
+      exclude: [],
+      methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+      resourceTypes: [], // vide = tous
+      contentTypes: [],
+      statuses: []
     };
+    this.filterEngine = new FilterEngine(this.filters);
+    // Panneaux DevTools ouverts, notifiés en direct des nouveaux logs
+    this.panelPorts = new Set();
+    // Périmètre de capture : tous les onglets, un seul onglet, ou une liste d'origines
+    this.scope = { mode: 'all', tabId: null, origin: null, origins: [] };
     
     this.initListeners();
+    // Les listeners sont enregistrés tout de suite (réveil du worker), mais les
+    // événements attendent la restauration de l'état avant d'être traités
+    this.ready = this.loadFromStorage();
+  }
+
+  // Entrées gardées en mémoire ; le correlator n'en parcourt que 200
+  static get RECENT_LOGS() {
+    return 500;
+  }
+
+  // Taille maximale d'une page renvoyée par getLogs
+  static get LOGS_PAGE_SIZE() {
+    return 500;
   }
 
   initListeners() {
@@ -32,6 +100,15 @@ class APILogger {
       { urls: ["<all_urls>"] }
     );
 
+    // Fin automatique de la capture d'un onglet : fermeture ou changement d'origine
+    chrome.tabs.onRemoved.addListener((tabId) => this.onTabRemoved(tabId));
+    chrome.tabs.onUpdated.addListener((tabId, changeInfo) => this.onTabUpdated(tabId, changeInfo));
+
+    chrome.runtime.onConnect.addListener((port) => this.onPanelConnect(port));
+
+    // Nouvel essai d'envoi au collecteur, y compris après une suspension du worker
+    chrome.alarms.onAlarm.addListener((alarm) => this.onAlarm(alarm));
+
     // Messages depuis popup/content
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       this.handleMessage(request, sender, sendResponse);
@@ -39,203 +116,1016 @@ class APILogger {
     });
   }
 
-  onRequest(details) {
+  async onRequest(details) {
+    await this.ready;
     if (!this.isLogging || !this.shouldLog(details)) return;
+    if (!this.isInScope(details.tabId, details.url, details.initiator)) return;
 
     const logEntry = {
-      id: details.requestId,
-      timestamp: new Date().toISOString(),
-      type: 'REQUEST',
+      // requestId repart de zéro à chaque redémarrage du navigateur : l'id doit rester unique en base
+      id: `${details.requestId}-${Math.round(details.timeStamp)}`,
+      requestId: details.requestId,
+      timestamp: new Date(details.timeStamp).toISOString(),
       method: details.method,
       url: details.url,
       tabId: details.tabId,
+      frameId: details.frameId,
+      resourceType: details.type,
       requestBody: this.parseRequestBody(details.requestBody),
-      initiator: details.initiator
+      initiator: details.initiator,
+      source: 'webRequest'
     };
 
-    // Stocker temporairement pour associer avec la réponse
-    this.tempRequests = this.tempRequests || new Map();
+    // Stocker temporairement pour associer avec la réponse (aussi en base,
+    // pour ne pas perdre la requête si le worker est suspendu entre-temps)
     this.tempRequests.set(details.requestId, logEntry);
+    this.store.putPending(this.redactor.redactLog(logEntry));
   }
 
-  onResponse(details) {
-    if (!this.isLogging || !this.shouldLog(details)) return;
+  async onResponse(details) {
+    await this.ready;
+    // Une requête en attente a déjà passé les filtres d'envoi
+    const requestEntry = this.takePendingRequest(details.requestId);
+    if (!this.isLogging || !requestEntry) return;
+
+    const completeEntry = this.correlator.normalizeNetworkEntry(requestEntry, details);
+    if (!this.filterEngine.matchesResponse(this.responseCriteria(completeEntry))) return;
+    this.addLog(completeEntry);
+  }
+
+  async onError(details) {
+    await this.ready;
+    if (!this.isLogging) return;
     
-    const requestEntry = this.tempRequests?.get(details.requestId);
+    const requestEntry = this.takePendingRequest(details.requestId);
     if (!requestEntry) return;
 
-    const completeEntry = {
-      ...requestEntry,
-      responseTimestamp: new Date().toISOString(),
-      statusCode: details.statusCode,
-      responseHeaders: details.responseHeaders,
-      duration: Date.now() - new Date(requestEntry.timestamp).getTime()
-    };
+    const errorEntry = this.correlator.normalizeNetworkEntry(requestEntry, details);
+    this.addLog(errorEntry);
+  }
 
-    this.logs.push(completeEntry);
-    this.tempRequests.delete(details.requestId);
-    
-    // Sauvegarder périodiquement
-    this.saveToStorage();
+  async onAlarm(alarm) {
+    await this.ready;
+    if (alarm.name === LogSink.ALARM_NAME) this.sink.flush();
   }
 
-  onError(details) {
-    if (!this.isLogging || !this.shouldLog(details)) return;
-    
-    const requestEntry = this.tempRequests?.get(details.requestId);
-    if (!requestEntry) return;
+  async onTabRemoved(tabId) {
+    await this.ready;
+    if (this.isLogging && this.scope.mode === 'tab' && tabId === this.scope.tabId) {
+      await this.stopLogging('Onglet ferme');
+    }
+  }
 
-    const errorEntry = {
-      ...requestEntry,
-      responseTimestamp: new Date().toISOString(),
-      error: details.error,
-      duration: Date.now() - new Date(requestEntry.timestamp).getTime()
-    };
+  async onTabUpdated(tabId, changeInfo) {
+    await this.ready;
+    if (!this.isLogging || this.scope.mode !== 'tab' || tabId !== this.scope.tabId) return;
 
-    this.logs.push(errorEntry);
-    this.tempRequests.delete(details.requestId);
+    if (changeInfo.url && this.originOf(changeInfo.url) !== this.scope.origin) {
+      await this.stopLogging(`Navigation vers ${this.originOf(changeInfo.url) || changeInfo.url}`);
+    } else if (changeInfo.status === 'loading') {
+      // Chrome réinitialise le badge propre à l'onglet à chaque navigation
+      this.updateBadge();
+    }
   }
 
-  shouldLog(details) {
-    // Filtrer par méthode
-    if (!this.filters.methods.includes(details.method)) return false;
-    
-    // Filtrer par URL si des filtres sont définis
-    if (this.filters.urls.length > 0) {
-      return this.filters.urls.some(filter => details.url.includes(filter));
+  // Une requête est dans le périmètre selon son onglet, ou selon son origine
+  // ou celle de la page qui l'a émise (initiator / URL de l'onglet)
+  isInScope(tabId, url, pageUrl) {
+    switch (this.scope.mode) {
+      case 'tab':
+        return tabId === this.scope.tabId;
+      case 'origins':
+        return [url, pageUrl].some(value => value && this.scope.origins.includes(this.originOf(value)));
+      default:
+        return true;
     }
-    
-    // Exclure les requêtes internes du navigateur
-    if (details.url.startsWith('chrome-extension://') || 
-        details.url.startsWith('moz-extension://') ||
-        details.url.includes('favicon.ico')) {
-      return false;
+  }
+
+  originOf(url) {
+    try {
+      return new URL(url).origin;
+    } catch (e) {
+      return null;
     }
-    
-    return true;
   }
 
-  parseRequestBody(requestBody) {
-    if (!requestBody) return null;
-    
-    if (requestBody.formData) {
-      return { type: 'formData', data: requestBody.formData };
+  // Origines saisies librement ("app.local:4200", "https://api.example.com/") -> origines normalisées
+  normalizeScope(scope = {}) {
+    const origins = (scope.origins || [])
+      .map(origin => origin.trim())
+      .filter(Boolean)
+      .map(origin => this.originOf(/^[a-z][a-z0-9+.-]*:\/\//i.test(origin) ? origin : `https://${origin}`))
+      .filter(Boolean);
+
+    return {
+      mode: ['tab', 'origins'].includes(scope.mode) ? scope.mode : 'all',
+      tabId: scope.tabId === undefined ? null : scope.tabId,
+      origin: scope.tabUrl ? this.originOf(scope.tabUrl) : null,
+      origins: origins
+    };
+  }
+
+  async updateBadge() {
+    await chrome.action.setBadgeText({ text: '' });
+    if (!this.isLogging) return;
+
+    await chrome.action.setBadgeBackgroundColor({ color: '#dc3545' });
+    if (this.scope.mode === 'tab') {
+      try {
+        await chrome.action.setBadgeText({ tabId: this.scope.tabId, text: 'REC' });
+      } catch (e) {
+        // Onglet déjà fermé
+      }
+    } else {
+      await chrome.action.setBadgeText({ text: 'REC' });
     }
-    
-    if (requestBody.raw) {
+  }
+
+  onPanelConnect(port) {
+    if (port.name !== 'devtools-panel') return;
+    this.panelPorts.add(port);
+    port.onDisconnect.addListener(() => this.panelPorts.delete(port));
+  }
+
+  notifyPanels(message) {
+    this.panelPorts.forEach(port => {
       try {
-        const decoder = new TextDecoder();
-        const bodyText = decoder.decode(requestBody.raw[0].bytes);
-        return { type: 'json', data: JSON.parse(bodyText) };
+        port.postMessage(message);
       } catch (e) {
-        return { type: 'raw', data: 'Could not parse request body' };
+        this.panelPorts.delete(port);
       }
+    });
+  }
+
+  stateMessage() {
+    return {
+      type: 'state',
+      isLogging: this.isLogging,
+      filters: this.filters,
+      scope: this.scope,
+      activeSessionId: this.activeSessionId
+    };
+  }
+
+  // Requête terminée vue par chrome.devtools.network : complète le corps de réponse
+  // d'un log existant quand injected.js ne l'a pas capturé (iframe sandboxée, worker...)
+  async completeFromDevtools(harEntry, tabId, retry = true) {
+    const harLog = new HarConverter().fromHarEntry(harEntry, 0);
+    if (!harLog) return false;
+    // Les logs en mémoire sont déjà expurgés : comparer avec une URL expurgée de la même façon
+    const devtoolsLog = this.redactor.redactLog(harLog);
+    const entryTime = new Date(devtoolsLog.timestamp).getTime();
+    const url = this.correlator.stripFragment(devtoolsLog.url);
+
+    const index = this.recentLogs.findIndex(log =>
+      log.tabId === tabId &&
+      log.method === devtoolsLog.method &&
+      this.correlator.stripFragment(log.url) === url &&
+      log.responseText === undefined && log.responseJSON === undefined &&
+      Math.abs(new Date(log.timestamp).getTime() - entryTime) <= this.correlator.windowMs);
+
+    if (index === -1) {
+      // La réponse webRequest peut arriver juste après l'événement DevTools
+      if (retry) setTimeout(() => this.completeFromDevtools(harEntry, tabId, false), 1000);
+      return false;
     }
-    
-    return null;
+
+    const log = this.recentLogs[index];
+    const completed = { ...log };
+    ['responseText', 'responseJSON', 'requestData', 'requestJSON'].forEach(field => {
+      if (completed[field] === undefined && devtoolsLog[field] !== undefined) completed[field] = devtoolsLog[field];
+    });
+    if (!completed.responseHeaders || Object.keys(completed.responseHeaders).length === 0) {
+      completed.responseHeaders = devtoolsLog.responseHeaders;
+    }
+
+    this.recentLogs[index] = this.redactor.redactLog(completed);
+    this.saveLog(this.recentLogs[index]);
+    return true;
+  }
+
+  takePendingRequest(requestId) {
+    const requestEntry = this.tempRequests.get(requestId);
+    if (requestEntry) {
+      this.tempRequests.delete(requestId);
+      this.store.deletePending(requestId);
+    }
+    return requestEntry;
+  }
+
+  // Ajouter une entrée, ou la fusionner avec sa contrepartie déjà capturée
+  // par l'autre source (webRequest <-> content script)
+  addLog(rawEntry) {
+    // Masquer les secrets dès la capture : rien de sensible n'atteint le stockage
+    const entry = this.redactor.redactLog({
+      ...rawEntry,
+      sessionId: rawEntry.sessionId || this.activeSessionId
+    });
+    const match = this.correlator.findMatch(this.recentLogs, entry);
+
+    if (match) {
+      const merged = this.withRoute(this.correlator.merge(match, entry));
+      this.recentLogs[this.recentLogs.lastIndexOf(match)] = merged;
+      this.countLog(match, -1);
+      this.countLog(merged, 1);
+      this.saveLog(merged, match.id);
+    } else {
+      const complete = this.withRoute(entry);
+      this.recentLogs.push(complete);
+      if (this.recentLogs.length > APILogger.RECENT_LOGS) this.recentLogs.shift();
+      this.countLog(complete, 1);
+      this.saveLog(complete);
+    }
+  }
+
+  // Pile d'appel ramenée aux sources d'origine quand les scripts publient une source map.
+  // Un script lent à télécharger ne doit pas retenir le log : on abandonne après 5 s
+  async resolveCallStack(entry) {
+    if (!entry.callStack || entry.callStack.length === 0) return entry;
+
+    const timeout = new Promise(resolve => setTimeout(() => resolve(entry.callStack), 5000));
+    const callStack = await Promise.race([this.sourceMaps.resolveStack(entry.callStack), timeout]);
+    return { ...entry, callStack };
+  }
+
+  // Ajouter routeTemplate, path, pathParams et queryParams déduits de l'URL
+  withRoute(entry) {
+    return { ...entry, ...this.normalizer.normalize(entry.url) };
+  }
+
+  async setRedactionRules(rules) {
+    this.redactionRules = rules;
+    this.redactor.setRules(rules);
+    this.recentLogs = this.recentLogs.map(log => this.withRoute(this.redactor.redactLog(log)));
+    await chrome.storage.local.set({ redactionRules: rules });
+    await this.store.iterate(log => this.withRoute(this.redactor.redactLog(log)), 'readwrite');
+  }
+
+  async setSinkSettings(settings) {
+    this.sink.configure(settings);
+    await chrome.storage.local.set({ sinkSettings: this.sink.settings });
+  }
+
+  // Les règles courantes sont réappliquées à chaque export ;
+  // `sessionIds` vide ou absent = toutes les sessions
+  async exportableLogs(sessionIds) {
+    const logs = await this.store.getBySessions(sessionIds);
+    return logs.map(log => this.redactor.redactLog(log));
+  }
+
+  async startSession({ name, description, tabId, tabUrl, scope } = {}) {
+    const now = new Date();
+    const session = {
+      id: `session-${now.getTime()}`,
+      name: (name || '').trim() || `Session du ${now.toLocaleString()}`,
+      description: description || '',
+      startTime: now.toISOString(),
+      endTime: null,
+      tabId: tabId === undefined ? null : tabId,
+      tabUrl: tabUrl || null,
+      scope: scope || null
+    };
+
+    this.sessions.push(session);
+    this.activeSessionId = session.id;
+    await this.store.putSession(session);
+    return session;
+  }
+
+  async endSession(stopReason) {
+    const session = this.sessions.find(s => s.id === this.activeSessionId);
+    this.activeSessionId = null;
+    if (session) {
+      session.endTime = new Date().toISOString();
+      if (stopReason) session.stopReason = stopReason;
+      await this.store.putSession(session);
+    }
+  }
+
+  // Sessions avec leur nombre de requêtes, les plus récentes d'abord
+  async sessionSummaries() {
+    const counts = await Promise.all(this.sessions.map(session => this.store.countBySession(session.id)));
+
+    return this.sessions
+      .map((session, index) => ({
+        ...session,
+        active: session.id === this.activeSessionId,
+        logCount: counts[index]
+      }))
+      .sort((a, b) => b.startTime.localeCompare(a.startTime));
+  }
+
+  async renameSession(sessionId, name, description) {
+    const session = this.sessions.find(s => s.id === sessionId);
+    if (!session) throw new Error('Session introuvable');
+
+    if (name !== undefined && name.trim()) session.name = name.trim();
+    if (description !== undefined) session.description = description;
+    await this.store.putSession(session);
+    return session;
+  }
+
+  async deleteSession(sessionId) {
+    if (sessionId === this.activeSessionId) {
+      throw new Error('Impossible de supprimer la session en cours');
+    }
+
+    const removedIds = await this.store.getKeysBySession(sessionId);
+    this.recentLogs = this.recentLogs.filter(log => log.sessionId !== sessionId);
+    this.sessions = this.sessions.filter(s => s.id !== sessionId);
+    await this.store.deleteMany(removedIds);
+    await this.store.deleteSession(sessionId);
+    this.stats = null;
+  }
+
+  // Regrouper plusieurs sessions dans la plus ancienne d'entre elles
+  async mergeSessions(sessionIds, name) {
+    const selected = this.sessions
+      .filter(s => sessionIds.includes(s.id))
+      .sort((a, b) => a.startTime.localeCompare(b.startTime));
+    if (selected.length < 2) throw new Error('Selectionner au moins deux sessions');
+
+    const [target, ...others] = selected;
+    const otherIds = others.map(s => s.id);
+    const ended = selected.every(s => s.endTime);
+
+    target.name = (name || '').trim() || selected.map(s => s.name).join(' + ');
+    target.description = selected.map(s => s.description).filter(Boolean).join('\n');
+    target.endTime = ended ? selected.map(s => s.endTime).sort().pop() : null;
+
+    const moveLog = log => (otherIds.includes(log.sessionId) ? { ...log, sessionId: target.id } : undefined);
+    this.recentLogs = this.recentLogs.map(log => moveLog(log) || log);
+    if (otherIds.includes(this.activeSessionId)) {
+      this.activeSessionId = target.id;
+      await this.saveState();
+    }
+
+    this.sessions = this.sessions.filter(s => !otherIds.includes(s.id));
+    await this.store.iterate(moveLog, 'readwrite');
+    await this.store.putSession(target);
+    await Promise.all(otherIds.map(id => this.store.deleteSession(id)));
+    return target;
+  }
+
+  async setRouteOverrides(overrides) {
+    this.routeOverrides = overrides;
+    this.normalizer.setOverrides(overrides);
+    this.recentLogs = this.recentLogs.map(log => this.withRoute(log));
+    await chrome.storage.local.set({ routeOverrides: overrides });
+    await this.store.iterate(log => this.withRoute(log), 'readwrite');
+    this.stats = null;
+  }
+
+  // Filtres d'envoi pour webRequest ; statut et Content-Type sont vérifiés à la réponse
+  shouldLog(details) {
+    // Téléchargements de scripts et source maps faits par l'extension elle-même
+    if (details.tabId === -1 && details.initiator === self.location.origin) return false;
+
+    return this.filterEngine.matchesRequest({
+      method: details.method,
+      url: details.url,
+      resourceType: details.type
+    });
+  }
+
+  responseCriteria(entry) {
+    return {
+      statusCode: entry.statusCode,
+      contentType: entry.responseHeaders ? entry.responseHeaders['content-type'] : undefined
+    };
+  }
+
+  // JSON, formulaire, multipart, XML, texte ou binaire (base64), tronqué au-delà des limites
+  parseRequestBody(requestBody) {
+    return this.bodyDecoder.decode(requestBody);
   }
 
   async handleMessage(request, sender, sendResponse) {
+    await this.ready;
+
     switch (request.action) {
       case 'logFromContent':
         // Données venant du content script avec le contenu des réponses
-        if (this.isLogging && this.shouldLogContentData(request.data)) {
-          const enhancedLog = {
-            ...request.data,
-            tabId: sender.tab ? sender.tab.id : null,
-            tabUrl: sender.tab ? sender.tab.url : null,
-            captureMethod: 'content-script'
-          };
+        if (this.isLogging &&
+            this.isInScope(sender.tab ? sender.tab.id : null, request.data.url, sender.tab ? sender.tab.url : null)) {
+          const enhancedLog = this.correlator.normalizeContentEntry(request.data, sender);
           
-          this.logs.push(enhancedLog);
-          this.saveToStorage();
-          console.log('Log depuis content script:', enhancedLog);
+          if (this.shouldLogContentData(enhancedLog)) {
+            this.resolveCallStack(enhancedLog).then(entry => this.addLog(entry));
+          }
         }
         sendResponse({ success: true });
         break;
         
-      case 'startLogging':
+      case 'startLogging': {
+        const scope = this.normalizeScope(request.scope);
+        if (scope.mode === 'tab' && scope.tabId === null) {
+          sendResponse({ success: false, error: 'Aucun onglet a capturer' });
+          break;
+        }
+        if (scope.mode === 'origins' && scope.origins.length === 0) {
+          sendResponse({ success: false, error: 'Aucune origine valide' });
+          break;
+        }
+
         this.isLogging = true;
-        this.filters = request.filters || this.filters;
-        sendResponse({ success: true, message: 'Logging started' });
+        this.setFilters(request.filters || this.filters);
+        this.scope = scope;
+        if (this.activeSessionId) await this.endSession();
+        const session = await this.startSession({ ...request.session, scope: scope });
+        await this.saveState();
+        await this.updateBadge();
+        sendResponse({ success: true, session: session, message: 'Logging started' });
         break;
+      }
         
       case 'stopLogging':
-        this.isLogging = false;
+        await this.stopLogging();
         sendResponse({ success: true, message: 'Logging stopped' });
         break;
         
-      case 'getLogs':
-        sendResponse({ logs: this.logs, count: this.logs.length });
+      case 'getState':
+        sendResponse({
+          isLogging: this.isLogging,
+          filters: this.filters,
+          scope: this.scope,
+          activeSessionId: this.activeSessionId
+        });
+        break;
+        
+      case 'getSessions':
+        sendResponse({ sessions: await this.sessionSummaries() });
+        break;
+        
+      case 'renameSession':
+      case 'deleteSession':
+      case 'mergeSessions':
+        try {
+          let session;
+          if (request.action === 'renameSession') {
+            session = await this.renameSession(request.sessionId, request.name, request.description);
+          } else if (request.action === 'deleteSession') {
+            await this.deleteSession(request.sessionId);
+          } else {
+            session = await this.mergeSessions(request.sessionIds || [], request.name);
+          }
+          sendResponse({ success: true, session: session });
+        } catch (error) {
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
+        
+      case 'getLogs': {
+        // Toujours paginé (les plus récents d'abord par défaut) : ni le worker ni le message
+        // ne portent toute la base. `count` = nombre total de logs correspondants
+        const filter = request.tabId !== undefined ? log => log.tabId === request.tabId : null;
+        const limit = Math.min(request.limit || APILogger.LOGS_PAGE_SIZE, APILogger.LOGS_PAGE_SIZE);
+        const [page, count] = await Promise.all([
+          this.store.getPage(request.offset || 0, limit, request.direction === 'next' ? 'next' : 'prev', filter),
+          filter ? this.store.countWhere(filter) : this.store.count()
+        ]);
+        sendResponse({ logs: page, count: count });
+        break;
+      }
+        
+      case 'logFromDevtools':
+        if (this.isLogging) {
+          await this.completeFromDevtools(request.entry, request.tabId);
+        }
+        sendResponse({ success: true });
+        break;
+        
+      case 'getStats':
+        sendResponse({ stats: await this.computeStats() });
         break;
         
       case 'clearLogs':
-        this.logs = [];
-        await chrome.storage.local.clear();
+        this.recentLogs = [];
+        this.stats = null;
+        this.tempRequests.clear();
+        // Conserver les réglages (routes manuelles...) et la session en cours :
+        // seuls les logs et les sessions terminées sont supprimés
+        this.sessions = this.sessions.filter(s => s.id === this.activeSessionId);
+        await Promise.all([this.store.clear(), this.store.clearPending(), this.store.clearSessions()]);
+        await Promise.all(this.sessions.map(session => this.store.putSession(session)));
+        this.notifyPanels({ type: 'cleared' });
         sendResponse({ success: true, message: 'Logs cleared' });
         break;
         
       case 'exportLogs':
-        this.exportLogs();
-        sendResponse({ success: true, message: 'Export started' });
+        try {
+          await this.exportLogs(request.sessionIds);
+          sendResponse({ success: true, message: 'Export started' });
+        } catch (error) {
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
+        
+      case 'exportOpenAPI':
+        try {
+          await this.exportOpenAPI(request.format, request.sessionIds);
+          sendResponse({ success: true, message: 'Export started' });
+        } catch (error) {
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
+        
+      case 'exportTypeScript':
+        try {
+          await this.exportTypeScript(request.layout, request.sessionIds);
+          sendResponse({ success: true, message: 'Export started' });
+        } catch (error) {
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
+        
+      case 'exportAngularServices':
+        try {
+          await this.exportAngularServices(request.tokenName, request.sessionIds);
+          sendResponse({ success: true, message: 'Export started' });
+        } catch (error) {
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
+        
+      case 'exportAngularSpecs':
+        try {
+          await this.exportAngularSpecs(request.endpoints, request.sessionIds);
+          sendResponse({ success: true, message: 'Export started' });
+        } catch (error) {
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
+        
+      case 'exportHar':
+        try {
+          await this.exportHar(request.sessionIds);
+          sendResponse({ success: true, message: 'Export started' });
+        } catch (error) {
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
+        
+      case 'exportCollection':
+        try {
+          await this.exportCollection(request.target, request.groupBy, request.sessionIds);
+          sendResponse({ success: true, message: 'Export started' });
+        } catch (error) {
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
+        
+      case 'exportMockBackend':
+        try {
+          await this.exportMockBackend(request.target, request.options, request.sessionIds);
+          sendResponse({ success: true, message: 'Export started' });
+        } catch (error) {
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
+        
+      case 'exportCoverage':
+        try {
+          await this.exportCoverage(request.reference, request.fileName, request.format, request.sessionIds);
+          sendResponse({ success: true, message: 'Export started' });
+        } catch (error) {
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
+        
+      case 'importHar':
+        try {
+          const { count, skipped } = await this.importHar(request.har, request.fileName);
+          sendResponse({ success: true, count: count, skipped: skipped, message: 'HAR imported' });
+        } catch (error) {
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
+        
+      case 'getRouteOverrides':
+        sendResponse({ overrides: this.routeOverrides });
+        break;
+        
+      case 'setRouteOverrides':
+        await this.setRouteOverrides(request.overrides || []);
+        sendResponse({ success: true, message: 'Route overrides updated' });
+        break;
+        
+      case 'getRedactionRules':
+        sendResponse({ rules: this.redactionRules });
+        break;
+        
+      case 'setRedactionRules':
+        await this.setRedactionRules(request.rules || []);
+        sendResponse({ success: true, message: 'Redaction rules updated' });
+        break;
+        
+      case 'getSinkSettings':
+        sendResponse({ settings: this.sink.settings, status: this.sink.status });
+        break;
+        
+      case 'setSinkSettings':
+        await this.setSinkSettings(request.settings || {});
+        sendResponse({ success: true, status: this.sink.status });
+        break;
+        
+      case 'getSinkStatus':
+        sendResponse({ status: this.sink.status });
         break;
         
       case 'setFilters':
-        this.filters = request.filters;
+        this.setFilters(request.filters);
+        await this.saveState();
         sendResponse({ success: true, message: 'Filters updated' });
         break;
         
+      case 'getFilterPresets':
+        sendResponse({ presets: await this.getFilterPresets() });
+        break;
+        
+      case 'saveFilterPreset':
+        if (!request.name || !request.name.trim()) {
+          sendResponse({ success: false, error: 'Nom de preset manquant' });
+          break;
+        }
+        sendResponse({ success: true, presets: await this.saveFilterPreset(request.name.trim(), request.filters) });
+        break;
+        
+      case 'deleteFilterPreset':
+        sendResponse({ success: true, presets: await this.deleteFilterPreset(request.name) });
+        break;
+        
       default:
         sendResponse({ error: 'Unknown action' });
     }
   }
 
-  shouldLogContentData(data) {
-    // Filtrer par méthode
-    if (!this.filters.methods.includes(data.method)) return false;
-    
-    // Filtrer par URL si des filtres sont définis
-    if (this.filters.urls.length > 0) {
-      return this.filters.urls.some(filter => data.url.includes(filter));
-    }
-    
-    // Exclure les requêtes internes du navigateur
-    if (data.url.startsWith('chrome-extension://') || 
-        data.url.startsWith('moz-extension://') ||
-        data.url.includes('favicon.ico')) {
-      return false;
+  // Les appels vus par injected.js sont tous des XHR/fetch
+  shouldLogContentData(entry) {
+    return this.filterEngine.matches({
+      method: entry.method,
+      url: entry.url,
+      resourceType: 'xmlhttprequest',
+      ...this.responseCriteria(entry)
+    });
+  }
+
+  // Enregistrer une entrée ; `replacedId` est l'id de l'entrée qu'elle remplace après fusion
+  async saveLog(entry, replacedId) {
+    try {
+      await this.store.put(entry);
+      if (replacedId && replacedId !== entry.id) {
+        await this.store.delete(replacedId);
+      }
+      this.notifyPanels({ type: 'log', log: entry, replacedId: replacedId });
+      this.sink.enqueue(entry.id, replacedId);
+    } catch (error) {
+      console.error('Erreur sauvegarde IndexedDB:', error);
     }
-    
-    return true;
   }
 
-  async saveToStorage() {
-    // Sauvegarder seulement les 1000 derniers logs pour éviter de surcharger
-    const logsToSave = this.logs.slice(-1000);
-    await chrome.storage.local.set({ apiLogs: logsToSave });
+  setFilters(filters) {
+    this.filters = filters;
+    this.filterEngine.setFilters(filters);
+  }
+
+  async getFilterPresets() {
+    const result = await chrome.storage.local.get('filterPresets');
+    return result.filterPresets || {};
+  }
+
+  async saveFilterPreset(name, filters) {
+    const presets = await this.getFilterPresets();
+    presets[name] = filters;
+    await chrome.storage.local.set({ filterPresets: presets });
+    return presets;
+  }
+
+  async deleteFilterPreset(name) {
+    const presets = await this.getFilterPresets();
+    delete presets[name];
+    await chrome.storage.local.set({ filterPresets: presets });
+    return presets;
+  }
+
+  // `reason` est renseigné quand l'arrêt est automatique (onglet fermé...)
+  async stopLogging(reason) {
+    this.isLogging = false;
+    await this.endSession(reason);
+    await this.saveState();
+    await this.updateBadge();
+    if (reason) console.log(`Capture arretee: ${reason}`);
+  }
+
+  async saveState() {
+    await chrome.storage.local.set({
+      loggerState: {
+        isLogging: this.isLogging,
+        filters: this.filters,
+        scope: this.scope,
+        activeSessionId: this.activeSessionId
+      }
+    });
+    this.notifyPanels(this.stateMessage());
   }
 
   async loadFromStorage() {
-    const result = await chrome.storage.local.get(['apiLogs']);
-    if (result.apiLogs) {
-      this.logs = result.apiLogs;
+    const result = await chrome.storage.local.get(['apiLogs', 'loggerState', 'routeOverrides', 'redactionRules', 'sinkSettings', 'sinkQueue']);
+    if (result.loggerState) {
+      this.isLogging = result.loggerState.isLogging;
+      this.setFilters(result.loggerState.filters || this.filters);
+      this.activeSessionId = result.loggerState.activeSessionId || null;
+      this.scope = result.loggerState.scope || this.scope;
+    }
+    if (result.redactionRules) {
+      this.redactionRules = result.redactionRules;
+      this.redactor.setRules(result.redactionRules);
+    }
+    if (result.routeOverrides) {
+      this.routeOverrides = result.routeOverrides;
+      this.normalizer.setOverrides(result.routeOverrides);
+    }
+
+    try {
+      // Migration : anciens logs conservés dans chrome.storage.local (1000 max)
+      if (result.apiLogs) {
+        await this.store.putMany(result.apiLogs.map(log => log.routeTemplate ? log : this.withRoute(log)));
+        await chrome.storage.local.remove('apiLogs');
+      }
+
+      this.recentLogs = (await this.store.getPage(0, APILogger.RECENT_LOGS)).reverse();
+      this.sessions = await this.store.getAllSessions();
+      await this.adoptOrphanLogs();
+
+      // Requêtes en cours au moment de la suspension du worker (moins de 10 minutes)
+      const pendingLimit = Date.now() - 10 * 60 * 1000;
+      const pending = await this.store.getAllPending();
+      pending.forEach(entry => {
+        if (new Date(entry.timestamp).getTime() >= pendingLimit) {
+          this.tempRequests.set(entry.requestId, entry);
+        } else {
+          this.store.deletePending(entry.requestId);
+        }
+      });
+    } catch (error) {
+      console.error('Erreur chargement IndexedDB:', error);
+    }
+
+    // Après le chargement des logs : la file du collecteur ne contient que leurs ids
+    this.sink.configure(result.sinkSettings);
+    this.sink.restore(result.sinkQueue || []);
+
+    // L'onglet capturé a pu être fermé pendant que le navigateur était arrêté
+    if (this.isLogging && this.scope.mode === 'tab') {
+      try {
+        await chrome.tabs.get(this.scope.tabId);
+      } catch (e) {
+        await this.stopLogging('Onglet ferme');
+      }
     }
   }
 
-  exportLogs() {
+  // Logs capturés avant l'introduction des sessions : regroupés dans une session dédiée
+  async adoptOrphanLogs() {
+    // Un log sans session n'apparaît pas dans l'index sessionId : comparaison des compteurs
+    const [total, withSession] = await Promise.all([this.store.count(), this.store.countWithSession()]);
+    if (total === withSession) return;
+
+    const sessionId = `session-${Date.now()}-previous`;
+    let first = null;
+    let last = null;
+    await this.store.iterate(log => {
+      if (log.sessionId) return undefined;
+      first = first || log;
+      last = log;
+      return { ...log, sessionId };
+    }, 'readwrite');
+    this.recentLogs = this.recentLogs.map(log => (log.sessionId ? log : { ...log, sessionId }));
+
+    const session = {
+      id: sessionId,
+      name: 'Logs precedents',
+      description: 'Requetes capturees avant la creation des sessions',
+      startTime: first.timestamp,
+      endTime: last.responseTimestamp || last.timestamp,
+      tabId: null,
+      tabUrl: null
+    };
+    this.sessions.push(session);
+    await this.store.putSession(session);
+  }
+
+  // Un parcours de la base au premier appel, puis des compteurs tenus à jour par addLog
+  async computeStats() {
+    if (!this.stats) {
+      const stats = { total: 0, get: 0, post: 0, errors: 0, endpoints: new Map() };
+      await this.store.iterate(log => this.countLog(log, 1, stats));
+      this.stats = this.stats || stats;
+    }
+    return {
+      total: this.stats.total,
+      get: this.stats.get,
+      post: this.stats.post,
+      errors: this.stats.errors,
+      endpoints: this.stats.endpoints.size
+    };
+  }
+
+  // `delta` : 1 pour un log ajouté, -1 pour un log remplacé
+  countLog(log, delta, stats = this.stats) {
+    if (!stats) return;
+    stats.total += delta;
+    if (log.method === 'GET') stats.get += delta;
+    if (log.method === 'POST') stats.post += delta;
+    if (log.error || (log.statusCode && log.statusCode >= 400)) stats.errors += delta;
+
+    const endpoint = `${log.method} ${log.routeTemplate || log.url}`;
+    const count = (stats.endpoints.get(endpoint) || 0) + delta;
+    if (count > 0) stats.endpoints.set(endpoint, count);
+    else stats.endpoints.delete(endpoint);
+  }
+
+  // Nombre d'appels et lieux d'appel par endpoint (méthode + template de route)
+  summarizeEndpoints(logs) {
+    const endpoints = new Map();
+    logs.forEach(log => {
+      const key = `${log.method} ${log.routeTemplate}`;
+      if (!endpoints.has(key)) {
+        endpoints.set(key, { method: log.method, routeTemplate: log.routeTemplate, count: 0, callSites: new Map() });
+      }
+      const summary = endpoints.get(key);
+      summary.count++;
+      // Appelant le plus proche de la requête (première frame hors angular.js)
+      if (log.callStack && log.callStack.length > 0) {
+        const location = SourceMapResolver.formatFrame(log.callStack[0]);
+        summary.callSites.set(location, (summary.callSites.get(location) || 0) + 1);
+      }
+    });
+    return [...endpoints.values()]
+      .map(summary => ({
+        ...summary,
+        callSites: [...summary.callSites.entries()].map(([location, count]) => ({ location, count }))
+      }))
+      .sort((a, b) => b.count - a.count);
+  }
+
+  // Appels regroupés par écran AngularJS (état ui-router, route ngRoute ou $location.path())
+  summarizeScreens(logs) {
+    const screens = new Map();
+    logs.forEach(log => {
+      const context = log.angularContext || {};
+      const screen = context.screen || null;
+      if (!screens.has(screen)) {
+        screens.set(screen, { screen, router: context.router, calls: 0, endpoints: new Map() });
+      }
+      const summary = screens.get(screen);
+      const endpoint = `${log.method} ${log.routeTemplate || log.url}`;
+      summary.calls++;
+      summary.endpoints.set(endpoint, (summary.endpoints.get(endpoint) || 0) + 1);
+    });
+
+    return [...screens.values()]
+      .map(summary => ({
+        ...summary,
+        endpoints: [...summary.endpoints.entries()].map(([endpoint, count]) => ({ endpoint, count }))
+      }))
+      .sort((a, b) => b.calls - a.calls);
+  }
+
+  async exportLogs(sessionIds) {
+    const logs = await this.exportableLogs(sessionIds);
     const exportData = {
       exportDate: new Date().toISOString(),
-      totalRequests: this.logs.length,
+      totalRequests: logs.length,
       filters: this.filters,
-      logs: this.logs
+      sessions: this.sessions.filter(s => !sessionIds || sessionIds.length === 0 || sessionIds.includes(s.id)),
+      endpoints: this.summarizeEndpoints(logs),
+      screens: this.summarizeScreens(logs),
+      logs: logs
     };
 
     const dataStr = JSON.stringify(exportData, null, 2);
     const filename = `api-logs-${new Date().toISOString().split('T')[0]}.json`;
     
+    this.downloadFile(dataStr, filename, 'application/json');
+  }
+
+  async exportOpenAPI(format = 'yaml', sessionIds) {
+    const spec = new OpenAPIGenerator().generate(await this.exportableLogs(sessionIds));
+    const date = new Date().toISOString().split('T')[0];
+
+    if (format === 'json') {
+      this.downloadFile(JSON.stringify(spec, null, 2), `openapi-${date}.json`, 'application/json');
+    } else {
+      this.downloadFile(new YamlSerializer().stringify(spec), `openapi-${date}.yaml`, 'application/yaml');
+    }
+  }
+
+  async exportTypeScript(layout = 'single', sessionIds) {
+    const files = new TypeScriptGenerator().generate(await this.exportableLogs(sessionIds), { layout });
+    this.downloadFiles(files, `models-${new Date().toISOString().split('T')[0]}.zip`);
+  }
+
+  async exportAngularServices(tokenName, sessionIds) {
+    const files = new AngularServiceGenerator({ tokenName }).generate(await this.exportableLogs(sessionIds));
+    this.downloadFiles(files, `angular-services-${new Date().toISOString().split('T')[0]}.zip`);
+  }
+
+  // Services HttpClient et leurs specs HttpTestingController, pour tout ou partie des endpoints
+  async exportAngularSpecs(endpoints, sessionIds) {
+    const files = new AngularSpecGenerator({ endpoints }).generate(await this.exportableLogs(sessionIds));
+    this.downloadFiles(files, `angular-specs-${new Date().toISOString().split('T')[0]}.zip`);
+  }
+
+  async exportHar(sessionIds) {
+    const har = new HarConverter({ creatorVersion: chrome.runtime.getManifest().version }).toHar(await this.exportableLogs(sessionIds));
+    const filename = `api-logs-${new Date().toISOString().split('T')[0]}.har`;
+    this.downloadFile(JSON.stringify(har, null, 2), filename, 'application/json');
+  }
+
+  // Collection Postman v2.1 ou export Insomnia, dossiers par route ou par session
+  async exportCollection(target = 'postman', groupBy = 'route', sessionIds) {
+    const exporter = new CollectionExporter({ name: 'API Logger', groupBy, sessions: this.sessions });
+    const logs = await this.exportableLogs(sessionIds);
+    const date = new Date().toISOString().split('T')[0];
+
+    if (target === 'insomnia') {
+      this.downloadFile(JSON.stringify(exporter.toInsomnia(logs), null, 2), `insomnia-${date}.json`, 'application/json');
+    } else {
+      this.downloadFile(JSON.stringify(exporter.toPostman(logs), null, 2), `postman-collection-${date}.json`, 'application/json');
+    }
+  }
+
+  async exportMockBackend(target = 'angular', options = {}, sessionIds) {
+    const files = new MockBackendGenerator(options).generate(await this.exportableLogs(sessionIds), target);
+    const prefix = target === 'node' ? 'mock-server' : 'mock-backend';
+    this.downloadFiles(files, `${prefix}-${new Date().toISOString().split('T')[0]}.zip`);
+  }
+
+  async exportCoverage(reference, fileName, format = 'md', sessionIds) {
+    const openapi = new OpenAPIGenerator();
+    const reporter = new CoverageReporter({ isApiCall: log => openapi.isApiCall(log) });
+    const report = reporter.generate(await this.exportableLogs(sessionIds), reporter.parseReference(reference), fileName);
+    const date = new Date().toISOString().split('T')[0];
+
+    if (format === 'html') {
+      this.downloadFile(reporter.toHtml(report), `coverage-${date}.html`, 'text/html');
+    } else {
+      this.downloadFile(reporter.toMarkdown(report), `coverage-${date}.md`, 'text/markdown');
+    }
+  }
+
+  // Les entrées importées s'ajoutent aux logs, dans une session nommée d'après le fichier
+  async importHar(har, fileName) {
+    const { logs: converted, skipped } = new HarConverter().fromHar(har, fileName);
+    const timestamps = converted.map(log => log.timestamp).sort();
+    const session = {
+      id: `session-${Date.now()}-har`,
+      name: fileName || 'Import HAR',
+      description: 'Import HAR',
+      startTime: timestamps[0] || new Date().toISOString(),
+      endTime: timestamps[timestamps.length - 1] || new Date().toISOString(),
+      tabId: null,
+      tabUrl: null
+    };
+    // Ids propres à la session : réimporter le même fichier ne remplace pas les logs du premier import
+    const importedLogs = converted
+      .map((log, index) => this.withRoute(this.redactor.redactLog({ ...log, id: `${session.id}-${index}`, sessionId: session.id })));
+
+    this.sessions.push(session);
+    await this.store.putSession(session);
+    await this.store.putMany(importedLogs);
+    importedLogs.forEach(log => this.countLog(log, 1));
+    return { count: importedLogs.length, skipped };
+  }
+
+  // Un seul fichier est téléchargé tel quel, plusieurs sont regroupés dans un zip
+  downloadFiles(files, zipFilename) {
+    if (files.length === 1) {
+      this.downloadFile(files[0].content, files[0].name, 'text/plain');
+      return;
+    }
+
+    const zip = new ZipWriter();
+    files.forEach(file => zip.addFile(file.name, file.content));
+    this.downloadFile(zip.generate(), zipFilename, 'application/zip');
+  }
+
+  toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  downloadFile(dataStr, filename, mimeType) {
     // Dans un service worker, on doit utiliser une méthode différente
     // Créer une data URL directement
-    const dataUrl = 'data:application/json;charset=utf-8,' + encodeURIComponent(dataStr);
+    const isBinary = dataStr instanceof Uint8Array;
+    const dataUrl = isBinary
+      ? `data:${mimeType};base64,` + this.toBase64(dataStr)
+      : `data:${mimeType};charset=utf-8,` + encodeURIComponent(dataStr);
     
     // Méthode principale avec chrome.downloads
     if (chrome.downloads && chrome.downloads.download) {
@@ -248,16 +1138,26 @@ class APILogger {
       }).catch((error) => {
         console.error('Erreur chrome.downloads:', error);
         // Fallback vers méthode alternative
-        this.exportLogsAlternative(dataStr, filename);
+        this.downloadFallback(dataStr, dataUrl, filename, mimeType);
       });
     } else {
       // Fallback si chrome.downloads n'est pas disponible
-      this.exportLogsAlternative(dataStr, filename);
+      this.downloadFallback(dataStr, dataUrl, filename, mimeType);
+    }
+  }
+
+  downloadFallback(dataStr, dataUrl, filename, mimeType) {
+    if (dataStr instanceof Uint8Array) {
+      // Contenu binaire (zip) : impossible à afficher, on ouvre directement la data URL
+      chrome.tabs.create({ url: dataUrl });
+    } else {
+      this.exportLogsAlternative(dataStr, filename, mimeType);
     }
   }
 
-  exportLogsAlternative(dataStr, filename) {
+  async exportLogsAlternative(dataStr, filename, mimeType = 'application/json') {
     // Méthode alternative : ouvrir dans un nouvel onglet pour copier/télécharger
+    const total = await this.store.count();
     const htmlContent = `
     <!DOCTYPE html>
     <html>
@@ -275,11 +1175,11 @@ class APILogger {
     <body>
         <h2>Export des logs API</h2>
         <p>Fichier: <strong>${filename}</strong></p>
-        <p>Total des requêtes capturées: <strong>${this.logs.length}</strong></p>
+        <p>Total des requêtes capturées: <strong>${total}</strong></p>
         
         <h3>Option 1: Téléchargement direct</h3>
-        <a href="data:application/json;charset=utf-8,${encodeURIComponent(dataStr)}" 
-           download="${filename}" class="download-link">Télécharger le fichier JSON</a>
+        <a href="data:${mimeType};charset=utf-8,${encodeURIComponent(dataStr)}" 
+           download="${filename}" class="download-link">Télécharger le fichier</a>
         
         <h3>Option 2: Copier le contenu</h3>
         <textarea id="jsonContent" readonly>${dataStr}</textarea>
@@ -292,7 +1192,7 @@ class APILogger {
                 textarea.select();
                 textarea.setSelectionRange(0, 99999);
                 navigator.clipboard.writeText(textarea.value).then(() => {
-                    alert('Contenu copié dans le presse-papiers!\\n\\nVous pouvez maintenant le coller dans un fichier .json');
+                    alert('Contenu copié dans le presse-papiers!\\n\\nVous pouvez maintenant le coller dans le fichier ${filename}');
                 }).catch(err => {
                     console.error('Erreur copie:', err);
                     alert('Erreur lors de la copie. Utilisez Ctrl+C pour copier manuellement.');
@@ -313,6 +1213,5 @@ class APILogger {
   }
 }
 
-// Initialiser le logger
-const apiLogger = new APILogger();
-apiLogger.loadFromStorage();
\ No newline at end of file
+// Initialiser le logger (l'état est restauré depuis le stockage)
+const apiLogger = new APILogger();
\ No newline at end of file
@@ -0,0 +1,2 @@
+// devtools.js - Déclaration du panneau "API Logger" dans les DevTools
+chrome.devtools.panels.create('API Logger', '', 'panel.html');
@@ -0,0 +1,193 @@
+// drift.js - Comparaison des schémas de réponse entre une référence et une capture
+class DriftController {
+  constructor() {
+    this.logs = [];
+    this.sessions = [];
+    this.baseline = null;
+    this.report = null;
+    this.detector = new SchemaDriftDetector();
+    this.initElements();
+    this.initEventListeners();
+    this.loadData();
+  }
+
+  static get FILE_OPTION() {
+    return '__file__';
+  }
+
+  initElements() {
+    this.elements = {
+      baselineSource: document.getElementById('baselineSource'),
+      baselineFile: document.getElementById('baselineFile'),
+      currentSession: document.getElementById('currentSession'),
+      compareBtn: document.getElementById('compareBtn'),
+      snapshotBtn: document.getElementById('snapshotBtn'),
+      reportMdBtn: document.getElementById('reportMdBtn'),
+      reportHtmlBtn: document.getElementById('reportHtmlBtn'),
+      reportJsonBtn: document.getElementById('reportJsonBtn'),
+      summary: document.getElementById('summary'),
+      changeRows: document.getElementById('changeRows'),
+      newEndpoints: document.getElementById('newEndpoints'),
+      missingEndpoints: document.getElementById('missingEndpoints')
+    };
+  }
+
+  initEventListeners() {
+    this.elements.baselineSource.addEventListener('change', () => {
+      const fromFile = this.elements.baselineSource.value === DriftController.FILE_OPTION;
+      this.elements.baselineFile.style.display = fromFile ? 'block' : 'none';
+    });
+    this.elements.baselineFile.addEventListener('change', (event) => this.loadBaselineFile(event.target.files[0]));
+    this.elements.compareBtn.addEventListener('click', () => this.compare());
+    this.elements.snapshotBtn.addEventListener('click', () => this.downloadSnapshot());
+    this.elements.reportMdBtn.addEventListener('click', () => this.downloadReport('md'));
+    this.elements.reportHtmlBtn.addEventListener('click', () => this.downloadReport('html'));
+    this.elements.reportJsonBtn.addEventListener('click', () => this.downloadReport('json'));
+  }
+
+  async loadData() {
+    const [logs, sessionsResponse] = await Promise.all([
+      new LogReader(message => this.sendMessage(message)).readAll(),
+      this.sendMessage({ action: 'getSessions' })
+    ]);
+    this.logs = logs;
+    this.sessions = (sessionsResponse && sessionsResponse.sessions) || [];
+
+    const sessionOptions = this.sessions
+      .map(session => `<option value="${this.escapeHtml(session.id)}">${this.escapeHtml(session.name)} (${session.logCount})</option>`)
+      .join('');
+
+    // Par défaut : la session la plus ancienne comme référence, la plus récente comme capture
+    this.elements.baselineSource.innerHTML = sessionOptions +
+      `<option value="${DriftController.FILE_OPTION}">Fichier importe (instantane ou OpenAPI JSON)...</option>`;
+    this.elements.currentSession.innerHTML = sessionOptions + '<option value="">Tous les logs</option>';
+    if (this.sessions.length > 1) {
+      this.elements.baselineSource.value = this.sessions[this.sessions.length - 1].id;
+    }
+    this.elements.baselineSource.dispatchEvent(new Event('change'));
+  }
+
+  async loadBaselineFile(file) {
+    if (!file) return;
+    try {
+      this.baseline = this.detector.parseBaseline(await file.text(), file.name);
+      this.elements.summary.textContent = `Reference chargee : ${Object.keys(this.baseline.endpoints).length} endpoints`;
+    } catch (e) {
+      this.baseline = null;
+      this.elements.summary.textContent = `Reference invalide: ${e.message}`;
+    }
+  }
+
+  sessionLogs(sessionId) {
+    return sessionId ? this.logs.filter(log => log.sessionId === sessionId) : this.logs;
+  }
+
+  sessionName(sessionId) {
+    const session = this.sessions.find(s => s.id === sessionId);
+    return session ? session.name : 'Tous les logs';
+  }
+
+  currentSnapshot() {
+    const sessionId = this.elements.currentSession.value;
+    return this.detector.snapshot(this.sessionLogs(sessionId), this.sessionName(sessionId));
+  }
+
+  baselineSnapshot() {
+    const source = this.elements.baselineSource.value;
+    if (source === DriftController.FILE_OPTION) return this.baseline;
+    return this.detector.snapshot(this.sessionLogs(source), this.sessionName(source));
+  }
+
+  compare() {
+    const baseline = this.baselineSnapshot();
+    if (!baseline) {
+      this.elements.summary.textContent = 'Choisir un fichier de reference';
+      return;
+    }
+    if (this.elements.baselineSource.value === this.elements.currentSession.value) {
+      this.elements.summary.textContent = 'La reference et la capture sont la meme session';
+      return;
+    }
+
+    this.report = this.detector.compare(baseline, this.currentSnapshot());
+    this.render();
+    [this.elements.reportMdBtn, this.elements.reportHtmlBtn, this.elements.reportJsonBtn]
+      .forEach(button => { button.disabled = false; });
+  }
+
+  render() {
+    const { totals } = this.report;
+    const labels = SchemaDriftDetector.KIND_LABELS;
+    this.elements.summary.textContent =
+      `${totals.changed} / ${totals.compared} reponses modifiees : ${totals.added} champs ajoutes, ` +
+      `${totals.removed} supprimes, ${totals.retyped} retypes, ${totals.nullability} changements de nullabilite`;
+
+    this.elements.changeRows.innerHTML = this.report.endpoints
+      .map(({ endpoint, status, changes }) => changes
+        .map(change => `
+          <tr>
+            <td>${this.escapeHtml(endpoint)}</td>
+            <td>${this.escapeHtml(status)}</td>
+            <td class="kind-${change.kind}">${labels[change.kind]}</td>
+            <td class="field">${this.escapeHtml(change.path)}</td>
+            <td>${this.escapeHtml(this.detector.formatChange(change))}</td>
+          </tr>
+        `)
+        .join(''))
+      .join('') || '<tr><td colspan="5">Aucune derive detectee</td></tr>';
+
+    this.elements.newEndpoints.innerHTML = this.renderList(this.report.newEndpoints);
+    this.elements.missingEndpoints.innerHTML = this.renderList(this.report.missingEndpoints);
+  }
+
+  renderList(items) {
+    if (items.length === 0) return 'Aucun';
+    return '<ul>' + items.map(item => `<li>${this.escapeHtml(item)}</li>`).join('') + '</ul>';
+  }
+
+  // Instantané à réimporter plus tard comme référence
+  downloadSnapshot() {
+    const date = new Date().toISOString().split('T')[0];
+    this.download(JSON.stringify(this.currentSnapshot(), null, 2), `schema-snapshot-${date}.json`, 'application/json');
+  }
+
+  downloadReport(format) {
+    if (!this.report) return;
+    const date = new Date().toISOString().split('T')[0];
+    const contents = {
+      md: () => [this.detector.toMarkdown(this.report), 'text/markdown'],
+      html: () => [this.detector.toHtml(this.report), 'text/html'],
+      json: () => [JSON.stringify(this.report, null, 2), 'application/json']
+    };
+    const [content, mimeType] = contents[format]();
+    this.download(content, `schema-drift-${date}.${format}`, mimeType);
+  }
+
+  download(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+
+  escapeHtml(text) {
+    return String(text === undefined || text === null ? '' : text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  async sendMessage(message) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(message, resolve);
+    });
+  }
+}
+
+// Initialiser le contrôleur quand la page est chargée
+document.addEventListener('DOMContentLoaded', () => {
+  new DriftController();
+});
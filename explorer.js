@@ -0,0 +1,411 @@
+// explorer.js - Exploration des logs : table virtualisée, recherche et détail d'une requête
+class ExplorerController {
+  // Hauteur fixe des lignes : seules les lignes visibles sont rendues
+  static get ROW_HEIGHT() {
+    return 28;
+  }
+
+  constructor() {
+    this.logs = [];
+    this.filtered = [];
+    // Lignes affichées : logs filtrés, précédés d'un en-tête par écran si regroupés
+    this.rows = [];
+    this.sessions = [];
+    this.searchIndex = new Map();
+    this.sort = { field: 'timestamp', direction: 'desc' };
+    this.selectedId = null;
+    this.snippets = new RequestSnippets();
+    this.renderScheduled = false;
+    this.initElements();
+    this.initEventListeners();
+    this.loadLogs();
+  }
+
+  initElements() {
+    this.elements = {
+      search: document.getElementById('search'),
+      methodFilter: document.getElementById('methodFilter'),
+      statusFilter: document.getElementById('statusFilter'),
+      endpointFilter: document.getElementById('endpointFilter'),
+      sessionFilter: document.getElementById('sessionFilter'),
+      screenFilter: document.getElementById('screenFilter'),
+      groupByScreen: document.getElementById('groupByScreen'),
+      count: document.getElementById('count'),
+      refreshBtn: document.getElementById('refreshBtn'),
+      headerRow: document.getElementById('headerRow'),
+      viewport: document.getElementById('viewport'),
+      spacer: document.getElementById('spacer'),
+      detail: document.getElementById('detail')
+    };
+  }
+
+  initEventListeners() {
+    this.elements.search.addEventListener('input', () => this.applyFilters());
+    ['methodFilter', 'statusFilter', 'endpointFilter', 'sessionFilter', 'screenFilter', 'groupByScreen'].forEach(name => {
+      this.elements[name].addEventListener('change', () => this.applyFilters());
+    });
+    this.elements.refreshBtn.addEventListener('click', () => this.loadLogs());
+    this.elements.viewport.addEventListener('scroll', () => this.scheduleRender());
+    window.addEventListener('resize', () => this.scheduleRender());
+
+    this.elements.headerRow.addEventListener('click', (event) => {
+      const field = event.target.dataset.sort;
+      if (!field) return;
+      this.sort = {
+        field: field,
+        direction: this.sort.field === field && this.sort.direction === 'asc' ? 'desc' : 'asc'
+      };
+      this.applyFilters();
+    });
+
+    this.elements.spacer.addEventListener('click', (event) => {
+      const row = event.target.closest('.row');
+      if (!row || !row.dataset.id) return;
+      this.selectedId = row.dataset.id;
+      this.renderRows();
+      this.renderDetail();
+    });
+
+    this.elements.detail.addEventListener('click', (event) => {
+      const format = event.target.dataset.copy;
+      if (format) this.copyRequest(format);
+    });
+  }
+
+  async loadLogs() {
+    const [logs, sessionsResponse] = await Promise.all([
+      new LogReader(message => this.sendMessage(message)).readAll(),
+      this.sendMessage({ action: 'getSessions' })
+    ]);
+    this.logs = logs;
+    this.sessions = (sessionsResponse && sessionsResponse.sessions) || [];
+    this.searchIndex.clear();
+
+    this.fillSelect(this.elements.methodFilter, [...new Set(this.logs.map(log => log.method).filter(Boolean))].sort());
+    this.fillSelect(this.elements.endpointFilter,
+      [...new Set(this.logs.map(log => this.endpointKey(log)))].sort());
+    this.fillSelect(this.elements.sessionFilter, this.sessions.map(session => session.id),
+      id => this.sessions.find(session => session.id === id).name);
+    this.fillSelect(this.elements.screenFilter,
+      [...new Set(this.logs.map(log => this.screenOf(log)).filter(Boolean))].sort());
+    this.applyFilters();
+  }
+
+  // Remplacer les options d'un filtre en conservant la première ("Tous...") et la sélection
+  fillSelect(select, values, label = value => value) {
+    const selected = select.value;
+    const first = select.options[0].outerHTML;
+    select.innerHTML = first + values
+      .map(value => `<option value="${this.escapeHtml(value)}">${this.escapeHtml(label(value))}</option>`)
+      .join('');
+    select.value = values.includes(selected) ? selected : '';
+  }
+
+  // Écran AngularJS relevé par injected.js (état ui-router, route ngRoute ou chemin)
+  screenOf(log) {
+    return (log.angularContext && log.angularContext.screen) || null;
+  }
+
+  endpointKey(log) {
+    return `${log.method} ${log.routeTemplate || log.url}`;
+  }
+
+  // Texte de recherche plein texte : URL, en-têtes et bodies
+  searchText(log) {
+    if (!this.searchIndex.has(log.id)) {
+      const parts = [
+        log.method,
+        log.url,
+        this.screenOf(log) || '',
+        JSON.stringify(log.requestHeaders || {}),
+        JSON.stringify(log.responseHeaders || {}),
+        typeof log.requestData === 'string' ? log.requestData : JSON.stringify(log.requestJSON || log.requestBody || ''),
+        typeof log.responseText === 'string' ? log.responseText : JSON.stringify(log.responseJSON || '')
+      ];
+      this.searchIndex.set(log.id, parts.join('\n').toLowerCase());
+    }
+    return this.searchIndex.get(log.id);
+  }
+
+  matchesStatus(log, status) {
+    if (!status) return true;
+    if (status === 'error') return Boolean(log.error) || !log.statusCode;
+    const hundreds = Number(status[0]) * 100;
+    return log.statusCode >= hundreds && log.statusCode < hundreds + 100;
+  }
+
+  applyFilters() {
+    const search = this.elements.search.value.trim().toLowerCase();
+    const method = this.elements.methodFilter.value;
+    const status = this.elements.statusFilter.value;
+    const endpoint = this.elements.endpointFilter.value;
+    const sessionId = this.elements.sessionFilter.value;
+    const screen = this.elements.screenFilter.value;
+
+    this.filtered = this.logs.filter(log =>
+      (!method || log.method === method) &&
+      this.matchesStatus(log, status) &&
+      (!endpoint || this.endpointKey(log) === endpoint) &&
+      (!sessionId || log.sessionId === sessionId) &&
+      (!screen || this.screenOf(log) === screen) &&
+      (!search || this.searchText(log).includes(search)));
+
+    const { field, direction } = this.sort;
+    const factor = direction === 'asc' ? 1 : -1;
+    this.filtered.sort((a, b) => {
+      const left = a[field] === undefined || a[field] === null ? '' : a[field];
+      const right = b[field] === undefined || b[field] === null ? '' : b[field];
+      if (left < right) return -factor;
+      if (left > right) return factor;
+      return 0;
+    });
+
+    this.rows = this.elements.groupByScreen.checked ? this.groupRows(this.filtered) : this.filtered;
+
+    this.elements.headerRow.querySelectorAll('span').forEach(span => {
+      span.className = span.dataset.sort === field ? `sorted-${direction}` : '';
+    });
+    this.elements.count.textContent = `${this.filtered.length} / ${this.logs.length} requetes`;
+    this.elements.spacer.style.height = `${this.rows.length * ExplorerController.ROW_HEIGHT}px`;
+    this.renderRows();
+  }
+
+  // Regroupement stable : l'ordre de tri est conservé à l'intérieur de chaque écran
+  groupRows(logs) {
+    const groups = new Map();
+    logs.forEach(log => {
+      const screen = this.screenOf(log) || '(ecran inconnu)';
+      if (!groups.has(screen)) groups.set(screen, []);
+      groups.get(screen).push(log);
+    });
+
+    const rows = [];
+    [...groups.keys()].sort().forEach(screen => {
+      rows.push({ group: screen, count: groups.get(screen).length });
+      rows.push(...groups.get(screen));
+    });
+    return rows;
+  }
+
+  scheduleRender() {
+    if (this.renderScheduled) return;
+    this.renderScheduled = true;
+    requestAnimationFrame(() => {
+      this.renderScheduled = false;
+      this.renderRows();
+    });
+  }
+
+  renderRows() {
+    const rowHeight = ExplorerController.ROW_HEIGHT;
+    const viewport = this.elements.viewport;
+    const overscan = 10;
+    const start = Math.max(0, Math.floor(viewport.scrollTop / rowHeight) - overscan);
+    const end = Math.min(this.rows.length, Math.ceil((viewport.scrollTop + viewport.clientHeight) / rowHeight) + overscan);
+
+    let html = '';
+    for (let i = start; i < end; i++) {
+      const log = this.rows[i];
+      if (log.group !== undefined) {
+        html += `<div class="row group" style="top: ${i * rowHeight}px">${this.escapeHtml(log.group)} (${log.count})</div>`;
+        continue;
+      }
+      const isError = log.error || (log.statusCode && log.statusCode >= 400);
+      const classes = ['row', isError ? 'error' : '', log.id === this.selectedId ? 'selected' : ''].join(' ');
+      html += `
+        <div class="${classes}" data-id="${this.escapeHtml(log.id)}" style="top: ${i * rowHeight}px" title="${this.escapeHtml(log.url)}">
+          <span>${new Date(log.timestamp).toLocaleTimeString()}</span>
+          <span>${this.escapeHtml(log.method)}</span>
+          <span>${this.escapeHtml(log.url)}</span>
+          <span>${log.statusCode || (log.error ? 'Erreur' : '')}</span>
+          <span>${log.duration !== undefined ? `${log.duration} ms` : ''}</span>
+        </div>
+      `;
+    }
+    this.elements.spacer.innerHTML = html;
+  }
+
+  selectedLog() {
+    return this.logs.find(log => log.id === this.selectedId);
+  }
+
+  renderDetail() {
+    const log = this.selectedLog();
+    if (!log) {
+      this.elements.detail.innerHTML = '<div class="empty">Selectionner une requete pour voir son detail.</div>';
+      return;
+    }
+
+    const session = this.sessions.find(s => s.id === log.sessionId);
+    this.elements.detail.innerHTML = `
+      <div><strong>${this.escapeHtml(log.method)}</strong> <span class="url">${this.escapeHtml(log.url)}</span></div>
+      <div class="controls" style="margin-top: 10px;">
+        <button class="btn-primary" data-copy="curl">Copier en cURL</button>
+        <button class="btn-primary" data-copy="fetch">Copier en fetch</button>
+      </div>
+
+      <h3>General</h3>
+      ${this.renderTable({
+        'Statut': log.statusCode ? `${log.statusCode} ${log.statusText || ''}` : (log.error || ''),
+        'Route': log.routeTemplate,
+        'Capture': log.captureMethod,
+        'Source': log.source,
+        'Type': log.resourceType,
+        'Session': session ? session.name : '',
+        'Ecran': this.screenOf(log),
+        'Page': log.tabUrl || log.initiator
+      })}
+
+      ${log.angularContext ? `<h3>Contexte AngularJS</h3>${this.renderAngularContext(log.angularContext)}` : ''}
+
+      ${log.callStack && log.callStack.length > 0 ? `<h3>Appele depuis</h3>${this.renderCallStack(log.callStack)}` : ''}
+
+      <h3>Timing</h3>
+      ${this.renderTiming(log)}
+
+      <h3>En-tetes de requete</h3>
+      ${this.renderTable(log.requestHeaders)}
+
+      <h3>En-tetes de reponse</h3>
+      ${this.renderTable(log.responseHeaders)}
+
+      ${log.queryParams && Object.keys(log.queryParams).length > 0 ? `<h3>Parametres</h3>${this.renderTable(log.queryParams)}` : ''}
+
+      <h3>Corps de la requete</h3>
+      ${this.renderRequestBody(log)}
+
+      <h3>Corps de la reponse</h3>
+      ${this.renderBody(log.responseJSON, log.responseText)}
+    `;
+  }
+
+  renderTable(values) {
+    const entries = Object.entries(values || {}).filter(([, value]) => value !== undefined && value !== null && value !== '');
+    if (entries.length === 0) return '<div class="empty">Aucun</div>';
+
+    return '<table>' + entries
+      .map(([name, value]) => `<tr><td>${this.escapeHtml(name)}</td><td>${this.escapeHtml(typeof value === 'object' ? JSON.stringify(value) : value)}</td></tr>`)
+      .join('') + '</table>';
+  }
+
+  renderAngularContext(context) {
+    return this.renderTable({
+      'Routeur': context.router,
+      'Etat': context.stateName,
+      'URL de l\'etat': context.stateUrl,
+      'Route': context.routePath,
+      'Controleur': context.controller,
+      '$location.path()': context.locationPath,
+      'Parametres': context.stateParams || context.routeParams
+    }) + (context.httpConfig ? `<div style="margin-top: 5px;">Config $http :</div>${this.renderBody(context.httpConfig)}` : '');
+  }
+
+  // Emplacement d'origine (source map) affiché, emplacement dans le script servi en infobulle
+  renderCallStack(callStack) {
+    return '<table>' + callStack
+      .map(frame => `<tr><td>${this.escapeHtml(frame.functionName || '(anonyme)')}</td>` +
+        `<td title="${this.escapeHtml(`${frame.url}:${frame.line}:${frame.column}`)}">${this.escapeHtml(SourceMapResolver.formatFrame(frame))}</td></tr>`)
+      .join('') + '</table>';
+  }
+
+  renderTiming(log) {
+    const end = log.responseTimestamp ? new Date(log.responseTimestamp).toLocaleTimeString() : '';
+    // Barre proportionnelle à la durée, sur une échelle de 2 secondes
+    const width = log.duration !== undefined ? Math.max(1, Math.min(100, log.duration / 20)) : 0;
+    return this.renderTable({
+      'Debut': new Date(log.timestamp).toLocaleString(),
+      'Fin': end,
+      'Duree': log.duration !== undefined ? `${log.duration} ms` : ''
+    }) + (width ? `<div class="timing-bar" style="width: ${width}%"></div>` : '');
+  }
+
+  // Corps vu par la page, sinon décodé depuis webRequest (formulaire, multipart, XML, binaire en base64)
+  renderRequestBody(log) {
+    const decoded = log.requestBody || {};
+    const notes = [
+      decoded.type,
+      typeof decoded.size === 'number' ? this.formatSize(decoded.size) : null,
+      decoded.encoding,
+      decoded.truncated ? 'tronque' : null
+    ].filter(Boolean);
+    const info = notes.length > 0 ? `<div class="body-info">${this.escapeHtml(notes.join(', '))}</div>` : '';
+
+    if (log.requestJSON !== undefined || typeof log.requestData === 'string') {
+      return info + this.renderBody(log.requestJSON, log.requestData);
+    }
+    const data = decoded.data;
+    return info + (data !== null && typeof data === 'object' ? this.renderBody(data) : this.renderBody(undefined, data));
+  }
+
+  formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} o`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} Ko`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} Mo`;
+  }
+
+  renderBody(json, raw) {
+    if (json !== undefined && json !== null) {
+      return `<div class="json-tree">${this.renderJson(json, null, 0)}</div>`;
+    }
+    if (raw === undefined || raw === null || raw === '') {
+      return '<div class="empty">Aucun</div>';
+    }
+    return `<pre class="raw">${this.escapeHtml(typeof raw === 'string' ? raw : JSON.stringify(raw, null, 2))}</pre>`;
+  }
+
+  // Arbre repliable : <details> natif, les deux premiers niveaux sont ouverts
+  renderJson(value, key, depth) {
+    const label = key === null ? '' : `<span class="json-key">${this.escapeHtml(key)}</span>: `;
+
+    if (value !== null && typeof value === 'object') {
+      const entries = Array.isArray(value) ? value.map((item, index) => [index, item]) : Object.entries(value);
+      const summary = Array.isArray(value) ? `Array(${entries.length})` : `{${entries.length}}`;
+      return `<details ${depth < 2 ? 'open' : ''}><summary>${label}${summary}</summary>` +
+        entries.map(([childKey, child]) => this.renderJson(child, String(childKey), depth + 1)).join('') +
+        '</details>';
+    }
+
+    let rendered;
+    if (typeof value === 'string') {
+      rendered = `<span class="json-string">${this.escapeHtml(JSON.stringify(value))}</span>`;
+    } else if (typeof value === 'number') {
+      rendered = `<span class="json-number">${value}</span>`;
+    } else {
+      rendered = `<span class="json-literal">${String(value)}</span>`;
+    }
+    return `<div class="leaf">${label}${rendered}</div>`;
+  }
+
+  async copyRequest(format) {
+    const log = this.selectedLog();
+    if (!log) return;
+
+    const text = format === 'curl' ? this.snippets.toCurl(log) : this.snippets.toFetch(log);
+    await navigator.clipboard.writeText(text);
+    const button = this.elements.detail.querySelector(`[data-copy="${format}"]`);
+    const label = button.textContent;
+    button.textContent = 'Copie !';
+    setTimeout(() => {
+      button.textContent = label;
+    }, 1500);
+  }
+
+  escapeHtml(text) {
+    return String(text === undefined || text === null ? '' : text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  async sendMessage(message) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(message, resolve);
+    });
+  }
+}
+
+// Initialiser le contrôleur quand la page est chargée
+document.addEventListener('DOMContentLoaded', () => {
+  new ExplorerController();
+});
@@ -0,0 +1,579 @@
+// injected.js - Script exécuté dans le contexte de la page (main world)
+// Le content script tourne dans un monde isolé : ses patches de XMLHttpRequest/fetch
+// ne voient pas les appels faits par la page ($http, $resource, fetch natif).
+// Déclaré dans manifest.json (world MAIN, document_start) : il s'exécute avant les scripts
+// de la page et relaie les données à content.js via window.postMessage.
+(function() {
+  'use strict';
+
+  // Éviter une double injection (navigation bfcache, réinjection...)
+  if (window.__apiLoggerInjected) return;
+  window.__apiLoggerInjected = true;
+
+  const MESSAGE_SOURCE = 'api-logger-injected';
+
+  // Limites de capture des corps de requête (les mêmes que lib/body-decoder.js)
+  const MAX_BODY_TEXT_BYTES = 1024 * 1024;
+  const MAX_BODY_BINARY_BYTES = 64 * 1024;
+
+  // Envoyer les données au content script
+  function postLog(data) {
+    try {
+      window.postMessage({ source: MESSAGE_SOURCE, type: 'log', data: data }, '*');
+    } catch (e) {
+      console.error('API Logger: erreur envoi vers content script:', e);
+    }
+  }
+
+  // Les URLs relatives ($http('/api/...')) sont résolues pour correspondre à webRequest
+  function absoluteUrl(url) {
+    try {
+      return new URL(String(url), location.href).href;
+    } catch (e) {
+      return String(url);
+    }
+  }
+
+  function tryParseJSON(text) {
+    if (typeof text !== 'string') return undefined;
+    const trimmed = text.trim();
+    if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) return undefined;
+    try {
+      return JSON.parse(trimmed);
+    } catch (e) {
+      return undefined; // Pas du JSON valide
+    }
+  }
+
+  function isTextualContentType(contentType) {
+    if (!contentType) return true; // Inconnu : on tente le texte
+    return /json|text|xml|javascript|x-www-form-urlencoded/i.test(contentType);
+  }
+
+  function parseHeaderString(headerString) {
+    const headers = {};
+    (headerString || '').trim().split(/[\r\n]+/).forEach(line => {
+      const index = line.indexOf(':');
+      if (index > 0) {
+        headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+      }
+    });
+    return headers;
+  }
+
+  function headersToObject(headers) {
+    const result = {};
+    if (!headers) return result;
+    try {
+      new Headers(headers).forEach((value, key) => {
+        result[key] = value;
+      });
+    } catch (e) {
+      // En-têtes invalides, on les ignore
+    }
+    return result;
+  }
+
+  function decodeBuffer(buffer, contentType) {
+    if (!buffer) return null;
+    const byteLength = buffer.byteLength;
+    if (!isTextualContentType(contentType)) {
+      return `[Contenu binaire ${byteLength} octets]`;
+    }
+    try {
+      return new TextDecoder().decode(buffer);
+    } catch (e) {
+      return `[Contenu binaire ${byteLength} octets]`;
+    }
+  }
+
+  // postMessage ne sait pas cloner FormData, Blob, Document... Le corps est relevé sous la forme
+  // { requestData } (texte envoyé) et/ou { requestBody } (même forme que lib/body-decoder.js) :
+  // champs et fichiers d'un formulaire, binaire en base64, taille d'un texte tronqué.
+  // Ce qui se lit de façon synchrone (FormData...) est relevé tout de suite, avant toute modification.
+  function serializeRequestData(body, contentType) {
+    if (body === undefined || body === null) return Promise.resolve({ requestData: null });
+    if (typeof body === 'string') return Promise.resolve(serializeText(body));
+    if (body instanceof URLSearchParams) {
+      return Promise.resolve({ requestData: body.toString(), requestBody: { type: 'formData', data: formFields(body) } });
+    }
+    if (typeof FormData !== 'undefined' && body instanceof FormData) {
+      return Promise.resolve({ requestData: null, requestBody: { type: 'multipart', data: formFields(body) } });
+    }
+    if (typeof Blob !== 'undefined' && body instanceof Blob) {
+      // Inutile de lire au-delà de la limite : seule la taille totale compte
+      return body.slice(0, MAX_BODY_TEXT_BYTES).arrayBuffer()
+        .then(buffer => serializeBytes(new Uint8Array(buffer), body.type || contentType, body.size));
+    }
+    if (body instanceof ArrayBuffer) {
+      return Promise.resolve(serializeBytes(new Uint8Array(body), contentType));
+    }
+    if (ArrayBuffer.isView(body)) {
+      return Promise.resolve(serializeBytes(new Uint8Array(body.buffer, body.byteOffset, body.byteLength), contentType));
+    }
+    if (typeof Document !== 'undefined' && body instanceof Document) {
+      return Promise.resolve(serializeText(new XMLSerializer().serializeToString(body)));
+    }
+    const name = body.constructor && body.constructor.name;
+    return Promise.resolve({ requestData: `[${name || typeof body}]` });
+  }
+
+  function serializeText(text) {
+    const bytes = new TextEncoder().encode(text);
+    if (bytes.length <= MAX_BODY_TEXT_BYTES) return { requestData: text };
+    return serializeBytes(bytes.subarray(0, MAX_BODY_TEXT_BYTES), null, bytes.length);
+  }
+
+  // `size` : taille réelle quand `bytes` n'en est que le début
+  function serializeBytes(bytes, contentType, size = bytes.length) {
+    const truncated = size > bytes.length;
+    if (isTextualContentType(contentType)) {
+      try {
+        // stream : un caractère coupé par la troncature n'est pas une erreur
+        const text = new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: truncated });
+        return truncated
+          ? { requestData: text, requestBody: { type: 'text', size, truncated: true } }
+          : { requestData: text };
+      } catch (e) {
+        // Pas de l'UTF-8 : conservé en base64
+      }
+    }
+
+    const kept = bytes.subarray(0, MAX_BODY_BINARY_BYTES);
+    const requestBody = { type: 'binary', size, encoding: 'base64', data: toBase64(kept) };
+    if (size > kept.length) requestBody.truncated = true;
+    return { requestData: null, requestBody };
+  }
+
+  // FormData / URLSearchParams -> { champ: [valeur] } ; un fichier -> { fileName, contentType, size }
+  function formFields(form) {
+    const data = {};
+    form.forEach((value, name) => {
+      if (!data[name]) data[name] = [];
+      data[name].push(typeof value === 'string'
+        ? value
+        : { fileName: value.name || 'blob', contentType: value.type || 'application/octet-stream', size: value.size });
+    });
+    return data;
+  }
+
+  function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  // Lire la réponse XHR selon son responseType
+  function readXHRResponse(xhr) {
+    const contentType = xhr.getResponseHeader('content-type');
+
+    switch (xhr.responseType) {
+      case '':
+      case 'text':
+        return Promise.resolve(xhr.responseText);
+      case 'json':
+        return Promise.resolve(xhr.response === null ? null : JSON.stringify(xhr.response));
+      case 'arraybuffer':
+        return Promise.resolve(decodeBuffer(xhr.response, contentType));
+      case 'blob':
+        if (!xhr.response) return Promise.resolve(null);
+        if (!isTextualContentType(xhr.response.type || contentType)) {
+          return Promise.resolve(`[Blob ${xhr.response.type || 'binaire'} ${xhr.response.size} octets]`);
+        }
+        return xhr.response.text();
+      case 'document':
+        return Promise.resolve(xhr.response ? new XMLSerializer().serializeToString(xhr.response) : null);
+      default:
+        return Promise.resolve(null);
+    }
+  }
+
+  // --- Contexte AngularJS : écran ($location, ui-router, ngRoute) et config $http ---
+  let angularInjector = null;
+
+  function getAngularInjector() {
+    if (angularInjector) return angularInjector;
+    const angular = window.angular;
+    if (!angular || !angular.element) return null;
+
+    const root = document.querySelector('[ng-app], [data-ng-app], [x-ng-app], .ng-scope') || document.documentElement;
+    try {
+      angularInjector = angular.element(root).injector() || null;
+    } catch (e) {
+      angularInjector = null;
+    }
+    return angularInjector;
+  }
+
+  // Copie sérialisable par postMessage (fonctions, scopes et cycles exclus)
+  function plainCopy(value) {
+    try {
+      return JSON.parse(JSON.stringify(value, (key, item) => {
+        if (typeof item === 'function' || (key && key.startsWith('$$'))) return undefined;
+        return item;
+      }));
+    } catch (e) {
+      return undefined;
+    }
+  }
+
+  function readAngularContext() {
+    const injector = getAngularInjector();
+    if (!injector) return null;
+
+    const context = {};
+    try {
+      if (injector.has('$location')) {
+        context.locationPath = injector.get('$location').path();
+      }
+      if (injector.has('$state')) {
+        const $state = injector.get('$state');
+        if ($state.current && $state.current.name) {
+          context.router = 'ui-router';
+          context.stateName = $state.current.name;
+          context.stateUrl = $state.current.url;
+          context.stateParams = plainCopy($state.params);
+        }
+      }
+      if (!context.router && injector.has('$route')) {
+        const current = injector.get('$route').current;
+        if (current && current.$$route) {
+          context.router = 'ngRoute';
+          context.routePath = current.$$route.originalPath;
+          context.controller = typeof current.$$route.controller === 'string' ? current.$$route.controller : undefined;
+          context.routeParams = plainCopy(current.params);
+        }
+      }
+    } catch (e) {
+      // Application en cours de bootstrap ou de destruction
+    }
+
+    // Clé de regroupement des appels par écran
+    context.screen = context.stateName || context.routePath || context.locationPath || null;
+    return context;
+  }
+
+  // Configs $http en attente de leur XHR : l'interceptor voit la config
+  // juste avant que $httpBackend n'ouvre la requête
+  const pendingHttpConfigs = [];
+  const HTTP_CONFIG_TTL = 10000;
+
+  function summarizeHttpConfig(config, defaults) {
+    return {
+      params: plainCopy(config.params),
+      headers: plainCopy(config.headers),
+      customTransformRequest: config.transformRequest !== defaults.transformRequest,
+      customTransformResponse: config.transformResponse !== defaults.transformResponse,
+      cache: Boolean(config.cache),
+      withCredentials: Boolean(config.withCredentials),
+      responseType: config.responseType || undefined,
+      timeout: config.timeout !== undefined && config.timeout !== null ? (typeof config.timeout === 'number' ? config.timeout : 'promise') : undefined
+    };
+  }
+
+  function takeHttpConfig(method, url) {
+    return takePending(pendingHttpConfigs, method, url, 'config');
+  }
+
+  function takePending(list, method, url, field) {
+    const now = Date.now();
+    while (list.length > 0 && now - list[0].time > HTTP_CONFIG_TTL) {
+      list.shift();
+    }
+    const index = list.findIndex(pending => pending.method === method && sameRequestUrl(url, pending.url));
+    return index === -1 ? undefined : list.splice(index, 1)[0][field];
+  }
+
+  // $http ajoute les params sérialisés après l'URL de la config : seule une query string
+  // (ou sa suite) peut prolonger l'URL, sinon /api/user capterait /api/users
+  function sameRequestUrl(url, pendingUrl) {
+    if (!url.startsWith(pendingUrl)) return false;
+    if (url.length === pendingUrl.length) return true;
+    const next = url.charAt(pendingUrl.length);
+    return pendingUrl.includes('?') ? next === '&' : next === '?';
+  }
+
+  // Le module 'ng' existe dès le chargement d'angular.js ; ses blocs config
+  // s'exécutent au bootstrap, qui suit DOMContentLoaded (ou un bootstrap manuel)
+  function registerHttpInterceptor() {
+    const angular = window.angular;
+    if (!angular || typeof angular.module !== 'function') return;
+
+    try {
+      angular.module('ng').config(['$httpProvider', function($httpProvider) {
+        $httpProvider.interceptors.push(function() {
+          return {
+            request: function(config) {
+              pendingHttpConfigs.push({
+                method: String(config.method || 'GET').toUpperCase(),
+                url: absoluteUrl(config.url),
+                config: summarizeHttpConfig(config, $httpProvider.defaults),
+                time: Date.now()
+              });
+              return config;
+            }
+          };
+        });
+      }]);
+
+      angular.module('ng').config(['$provide', function($provide) {
+        $provide.decorator('$http', ['$delegate', function($delegate) {
+          function recordCallStack(method, url) {
+            pendingHttpStacks.push({
+              method: String(method || 'GET').toUpperCase(),
+              url: absoluteUrl(url),
+              callStack: captureCallStack(),
+              time: Date.now()
+            });
+          }
+
+          const $http = function(requestConfig) {
+            if (requestConfig && requestConfig.url) recordCallStack(requestConfig.method, requestConfig.url);
+            return $delegate.apply(this, arguments);
+          };
+          // defaults, pendingRequests... restent partagés avec le service d'origine
+          Object.keys($delegate).forEach(key => { $http[key] = $delegate[key]; });
+          ['get', 'delete', 'head', 'post', 'put', 'patch'].forEach(method => {
+            $http[method] = function(url) {
+              recordCallStack(method, url);
+              return $delegate[method].apply($delegate, arguments);
+            };
+          });
+          return $http;
+        }]);
+      }]);
+    } catch (e) {
+      // Module 'ng' indisponible (angular.js non chargé ou Angular 2+)
+    }
+  }
+
+  document.addEventListener('DOMContentLoaded', registerHttpInterceptor);
+
+  // --- Pile d'appel : le code applicatif qui a déclenché la requête ---
+  // Les frames d'angular.js (et angular-resource, ui-router...) et de l'extension sont ignorées
+  const CALL_STACK_DEPTH = 5;
+  const IGNORED_FRAME = /^(chrome|moz)-extension:|\/angular(?:[-.][\w.-]*)?\.js(?:[?#]|$)/i;
+
+  // Formats V8 ("at fn (url:1:2)", "at url:1:2") et Firefox ("fn@url:1:2")
+  function parseStackLine(line) {
+    const v8 = line.match(/^\s*at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?$/);
+    const gecko = !v8 && line.match(/^(.*?)@(.+?):(\d+):(\d+)$/);
+    const match = v8 || gecko;
+    if (!match || !/^[a-z][a-z0-9+.-]*:/i.test(match[2])) return null;
+    return {
+      functionName: match[1] || undefined,
+      url: match[2],
+      line: Number(match[3]),
+      column: Number(match[4])
+    };
+  }
+
+  function captureCallStack() {
+    // $http empile beaucoup de frames internes avant d'atteindre le code applicatif
+    const limit = Error.stackTraceLimit;
+    Error.stackTraceLimit = 50;
+    const stack = new Error().stack || '';
+    Error.stackTraceLimit = limit;
+
+    return stack.split('\n')
+      .map(parseStackLine)
+      .filter(frame => frame && !IGNORED_FRAME.test(frame.url))
+      .slice(0, CALL_STACK_DEPTH);
+  }
+
+  // $http envoie la requête de façon asynchrone (promesses des interceptors) :
+  // la pile prise à l'ouverture du XHR ne contient plus l'appelant. Le décorateur de $http
+  // capture donc la pile au moment de l'appel, reprise ensuite par open()
+  const pendingHttpStacks = [];
+
+  function takeHttpCallStack(method, url) {
+    return takePending(pendingHttpStacks, method, url, 'callStack');
+  }
+
+  // Contexte de l'écran au moment de l'appel
+  function captureAngularContext(info) {
+    const context = readAngularContext();
+    if (!context) return;
+    const httpConfig = takeHttpConfig(info.method, info.url);
+    if (httpConfig) context.httpConfig = httpConfig;
+    info.angularContext = context;
+  }
+
+  function buildLogData(info, response) {
+    const logData = {
+      method: info.method,
+      url: info.url,
+      status: response.status,
+      statusText: response.statusText,
+      requestHeaders: info.requestHeaders,
+      requestData: info.requestData,
+      responseType: response.responseType,
+      responseText: response.responseText,
+      responseHeaders: response.responseHeaders,
+      duration: Date.now() - info.startTime,
+      timestamp: info.timestamp,
+      responseTimestamp: new Date().toISOString(),
+      source: info.source
+    };
+
+    if (info.angularContext) {
+      logData.angularContext = info.angularContext;
+    }
+
+    if (info.requestBody) {
+      logData.requestBody = info.requestBody;
+    }
+
+    if (info.callStack && info.callStack.length > 0) {
+      logData.callStack = info.callStack;
+    }
+
+    if (response.error) {
+      logData.error = response.error;
+    }
+
+    const responseJSON = response.responseJSON !== undefined
+      ? response.responseJSON
+      : tryParseJSON(response.responseText);
+    if (responseJSON !== undefined) {
+      logData.responseJSON = responseJSON;
+    }
+
+    const requestJSON = tryParseJSON(info.requestData);
+    if (requestJSON !== undefined) {
+      logData.requestJSON = requestJSON;
+    }
+
+    return logData;
+  }
+
+  // --- XMLHttpRequest (utilisé par $http et $resource d'AngularJS) ---
+  // On patche le prototype plutôt que le constructeur pour conserver instanceof
+  const xhrProto = XMLHttpRequest.prototype;
+  const originalOpen = xhrProto.open;
+  const originalSend = xhrProto.send;
+  const originalSetRequestHeader = xhrProto.setRequestHeader;
+
+  xhrProto.open = function(method, url) {
+    const info = {
+      method: String(method || 'GET').toUpperCase(),
+      url: absoluteUrl(url),
+      requestHeaders: {},
+      source: 'XMLHttpRequest'
+    };
+    info.callStack = takeHttpCallStack(info.method, info.url) || captureCallStack();
+    this.__apiLogger = info;
+    return originalOpen.apply(this, arguments);
+  };
+
+  xhrProto.setRequestHeader = function(name, value) {
+    if (this.__apiLogger) {
+      this.__apiLogger.requestHeaders[String(name).toLowerCase()] = String(value);
+    }
+    return originalSetRequestHeader.apply(this, arguments);
+  };
+
+  xhrProto.send = function(body) {
+    const info = this.__apiLogger;
+    if (info) {
+      const xhr = this;
+      info.startTime = Date.now();
+      info.timestamp = new Date().toISOString();
+      const requestDataPromise = serializeRequestData(body, info.requestHeaders['content-type'])
+        .catch(() => ({ requestData: null }));
+      captureAngularContext(info);
+
+      ['error', 'abort', 'timeout'].forEach(type => {
+        xhr.addEventListener(type, () => { info.error = type; });
+      });
+
+      // loadend est émis une seule fois, quel que soit le résultat
+      xhr.addEventListener('loadend', () => {
+        Promise.all([requestDataPromise, readXHRResponse(xhr).catch(() => null)]).then(([serializedBody, responseText]) => {
+          Object.assign(info, serializedBody);
+          postLog(buildLogData(info, {
+            status: xhr.status,
+            statusText: info.error ? 'Network Error' : xhr.statusText,
+            responseType: xhr.responseType || 'text',
+            responseText: responseText,
+            responseJSON: xhr.responseType === 'json' && xhr.response !== null ? xhr.response : undefined,
+            responseHeaders: parseHeaderString(xhr.getAllResponseHeaders()),
+            error: info.error
+          }));
+        });
+      });
+    }
+    return originalSend.apply(this, arguments);
+  };
+
+  // --- fetch natif ---
+  if (typeof window.fetch === 'function') {
+    const originalFetch = window.fetch;
+
+    window.fetch = function(input, init) {
+      const request = input instanceof Request ? input : null;
+      const info = {
+        method: String((init && init.method) || (request && request.method) || 'GET').toUpperCase(),
+        url: absoluteUrl(request ? request.url : input),
+        requestHeaders: headersToObject((init && init.headers) || (request && request.headers)),
+        startTime: Date.now(),
+        timestamp: new Date().toISOString(),
+        source: 'fetch',
+        callStack: captureCallStack()
+      };
+      captureAngularContext(info);
+
+      // Le body d'une Request doit être lu sur un clone avant l'appel réel
+      let requestDataPromise;
+      if (init && init.body !== undefined && init.body !== null) {
+        requestDataPromise = serializeRequestData(init.body, info.requestHeaders['content-type']);
+      } else if (request && !request.bodyUsed && info.method !== 'GET' && info.method !== 'HEAD') {
+        const contentType = info.requestHeaders['content-type'] || '';
+        requestDataPromise = /multipart\/form-data/i.test(contentType)
+          ? request.clone().formData().then(form => serializeRequestData(form))
+          : request.clone().blob().then(blob => serializeRequestData(blob, contentType));
+      } else {
+        requestDataPromise = Promise.resolve({ requestData: null });
+      }
+      requestDataPromise = requestDataPromise.catch(() => ({ requestData: null }));
+
+      return originalFetch.apply(this, arguments).then(response => {
+        const contentType = response.headers.get('content-type');
+        const clonedResponse = response.clone();
+        const bodyPromise = isTextualContentType(contentType)
+          ? clonedResponse.text()
+          : clonedResponse.arrayBuffer().then(buffer => decodeBuffer(buffer, contentType));
+
+        Promise.all([requestDataPromise, bodyPromise]).then(([serializedBody, responseText]) => {
+          Object.assign(info, serializedBody);
+          postLog(buildLogData(info, {
+            status: response.status,
+            statusText: response.statusText,
+            responseType: response.type,
+            responseText: responseText,
+            responseHeaders: headersToObject(response.headers)
+          }));
+        }).catch(err => {
+          console.warn('API Logger: impossible de lire le contenu de la réponse:', err);
+        });
+
+        return response;
+      }, error => {
+        requestDataPromise.then(serializedBody => {
+          Object.assign(info, serializedBody);
+          postLog(buildLogData(info, {
+            status: 0,
+            statusText: 'Network Error',
+            responseText: error.message,
+            responseHeaders: {},
+            error: error.toString()
+          }));
+        });
+
+        throw error; // Re-throw pour ne pas casser l'application
+      });
+    };
+  }
+})();
@@ -0,0 +1,260 @@
+// lib/angular-service-generator.js - Services Angular HttpClient depuis l'inventaire des endpoints
+// Dépend de TypeScriptGenerator (lib/typescript-generator.js) et Naming (lib/naming.js)
+class AngularServiceGenerator {
+  constructor(options = {}) {
+    // Nom du token d'injection fournissant l'URL de base de l'API
+    this.tokenName = options.tokenName || 'API_BASE_URL';
+  }
+
+  // Retourne la liste des fichiers à écrire : [{ name, content }]
+  generate(logs) {
+    const header = `// Généré par API Logger le ${new Date().toISOString()} à partir de ${logs.length} appels capturés\n`;
+
+    // Les modèles sont générés d'abord pour typer les méthodes des services
+    const typeGenerator = new TypeScriptGenerator();
+    const modelFiles = typeGenerator.generate(logs, { layout: 'per-resource' });
+    this.endpointTypes = typeGenerator.endpointTypes;
+
+    const files = [
+      { name: 'api-base-url.token.ts', content: header + '\n' + this.renderToken() },
+      ...modelFiles.map(file => ({ name: `models/${file.name}`, content: file.content }))
+    ];
+
+    this.services(logs).forEach(({ className, fileName, group }) => {
+      files.push({ name: `services/${fileName}.ts`, content: header + '\n' + this.renderService(className, group) });
+    });
+
+    return files;
+  }
+
+  // Un service par base path : [{ className, fileName (sans extension), group }]
+  services(logs) {
+    const serviceNames = new Set();
+    return this.groupByBasePath(this.collectEndpoints(logs)).map(group => {
+      const className = this.uniqueName(`${Naming.pascalCase(Naming.singular(group.resource))}Service`, serviceNames);
+      return { className, fileName: `${Naming.kebabCase(className.replace(/Service$/, ''))}.service`, group };
+    });
+  }
+
+  collectEndpoints(logs) {
+    const endpoints = new Map();
+
+    logs.forEach(log => {
+      if (!log.method || !log.routeTemplate) return;
+      const key = `${log.method} ${log.routeTemplate}`;
+      if (!endpoints.has(key)) {
+        endpoints.set(key, { key, method: log.method, routeTemplate: log.routeTemplate, logs: [] });
+      }
+      endpoints.get(key).logs.push(log);
+    });
+
+    return [...endpoints.values()];
+  }
+
+  // Base path : préfixe du template jusqu'à la ressource principale (/api/v1/users)
+  groupByBasePath(endpoints) {
+    const groups = new Map();
+
+    endpoints.forEach(endpoint => {
+      const resource = Naming.resourceOf(endpoint.routeTemplate);
+      const segments = endpoint.routeTemplate.split('/');
+      const index = segments.indexOf(resource);
+      const basePath = index === -1 ? '/' : segments.slice(0, index + 1).join('/');
+
+      if (!groups.has(basePath)) {
+        groups.set(basePath, { basePath, resource, endpoints: [] });
+      }
+      groups.get(basePath).endpoints.push(endpoint);
+    });
+
+    return [...groups.values()].sort((a, b) => a.basePath.localeCompare(b.basePath));
+  }
+
+  renderToken() {
+    return `import { InjectionToken } from '@angular/core';
+
+/** URL de base de l'API, ex. { provide: ${this.tokenName}, useValue: environment.apiUrl } */
+export const ${this.tokenName} = new InjectionToken<string>('${this.tokenName}');
+`;
+  }
+
+  renderService(className, group) {
+    const modelImports = new Set();
+    let needsHttpParams = false;
+
+    const methods = this.describeMethods(group).map(method => {
+      method.references.forEach(name => modelImports.add(name));
+      if (method.queryParams.length > 0) needsHttpParams = true;
+      return this.renderMethod(method);
+    });
+
+    const lines = [
+      `import { Inject, Injectable } from '@angular/core';`,
+      `import { HttpClient${needsHttpParams ? ', HttpParams' : ''} } from '@angular/common/http';`,
+      `import { Observable } from 'rxjs';`,
+      '',
+      `import { ${this.tokenName} } from '../api-base-url.token';`
+    ];
+    if (modelImports.size > 0) {
+      lines.push(`import { ${[...modelImports].sort().join(', ')} } from '../models';`);
+    }
+
+    lines.push(
+      '',
+      `/** Appels observés sous ${group.basePath} (remplace les $http / $resource AngularJS) */`,
+      `@Injectable({ providedIn: 'root' })`,
+      `export class ${className} {`,
+      `  constructor(private http: HttpClient, @Inject(${this.tokenName}) private baseUrl: string) {}`,
+      '',
+      methods.join('\n\n')
+    );
+
+    if (needsHttpParams) {
+      lines.push('', this.renderParamsHelper());
+    }
+
+    lines.push('}', '');
+    return lines.join('\n');
+  }
+
+  // Méthodes du service dans l'ordre du fichier ; les noms en dépendent (getUser, getUser2...)
+  describeMethods(group) {
+    const methodNames = new Set();
+    return group.endpoints
+      .sort((a, b) => a.routeTemplate.localeCompare(b.routeTemplate) || a.method.localeCompare(b.method))
+      .map(endpoint => this.describeMethod(endpoint, methodNames));
+  }
+
+  describeMethod(endpoint, methodNames) {
+    const types = this.endpointTypes.get(endpoint.key) || { references: new Set() };
+    const pathParams = (endpoint.routeTemplate.match(/\{(\w+)\}/g) || []).map(token => {
+      const name = token.slice(1, -1);
+      const values = endpoint.logs.map(log => log.pathParams && log.pathParams[name]).filter(value => value !== undefined);
+      return { name: Naming.camelCase(name), original: name, type: this.scalarType(values) };
+    });
+
+    const queryNames = new Map();
+    endpoint.logs.forEach(log => {
+      Object.keys(log.queryParams || {}).forEach(name => {
+        if (!queryNames.has(name)) queryNames.set(name, { values: [], count: 0 });
+        const entry = queryNames.get(name);
+        entry.values.push(...[].concat(log.queryParams[name]));
+        entry.count++;
+      });
+    });
+    const queryParams = [...queryNames.entries()].map(([name, { values, count }]) => ({
+      name,
+      type: this.scalarType(values) + (values.length > count ? '[]' : ''),
+      required: count === endpoint.logs.length
+    }));
+
+    return {
+      endpoint,
+      name: this.uniqueName(this.methodName(endpoint), methodNames),
+      pathParams,
+      queryParams,
+      requestType: types.requestType,
+      responseType: types.responseType || this.fallbackResponseType(endpoint.logs),
+      references: types.references,
+      hasBody: ['POST', 'PUT', 'PATCH'].includes(endpoint.method) || types.requestType !== undefined
+    };
+  }
+
+  // GET /users -> getUsers, GET /users/{id} -> getUser, POST /users -> createUser,
+  // GET /users/{id}/roles -> getUserRoles
+  methodName(endpoint) {
+    const verb = { GET: 'get', POST: 'create', PUT: 'update', PATCH: 'patch', DELETE: 'delete' }[endpoint.method] ||
+      endpoint.method.toLowerCase();
+    const parts = endpoint.routeTemplate.split('/').filter(Boolean);
+    const words = [];
+
+    parts.forEach((part, index) => {
+      if (part.startsWith('{') || /^(api|rest|v\d+)$/i.test(part)) return;
+      const followedByParam = parts[index + 1] && parts[index + 1].startsWith('{');
+      const isLast = parts.slice(index + 1).every(next => next.startsWith('{'));
+      // Un segment suivi d'un identifiant, ou la cible d'une création, désigne un élément unique
+      words.push(followedByParam || (isLast && endpoint.method === 'POST') ? Naming.singular(part) : part);
+    });
+
+    return Naming.camelCase(`${verb} ${words.join(' ') || 'root'}`);
+  }
+
+  renderMethod(method) {
+    const { endpoint } = method;
+    const args = method.pathParams.map(param => `${param.name}: ${param.type}`);
+    if (method.hasBody) {
+      args.push(`body: ${method.requestType || 'unknown'}`);
+    }
+    if (method.queryParams.length > 0) {
+      const optional = method.queryParams.every(param => !param.required) ? '?' : '';
+      const fields = method.queryParams
+        .map(param => `${Naming.isIdentifier(param.name) ? param.name : JSON.stringify(param.name)}${param.required ? '' : '?'}: ${param.type}`)
+        .join('; ');
+      args.push(`params${optional}: { ${fields} }`);
+    }
+
+    let url = endpoint.routeTemplate;
+    method.pathParams.forEach(param => {
+      url = url.replace(`{${param.original}}`, `\${encodeURIComponent(${param.name})}`);
+    });
+
+    const options = method.queryParams.length > 0 ? '{ params: this.toHttpParams(params) }' : null;
+    const responseType = method.responseType;
+    const httpMethod = endpoint.method.toLowerCase();
+    let call;
+
+    if (['post', 'put', 'patch'].includes(httpMethod)) {
+      call = `this.http.${httpMethod}<${responseType}>(\`\${this.baseUrl}${url}\`, body${options ? ', ' + options : ''})`;
+    } else if (['get', 'delete'].includes(httpMethod) && !method.hasBody) {
+      call = `this.http.${httpMethod}<${responseType}>(\`\${this.baseUrl}${url}\`${options ? ', ' + options : ''})`;
+    } else {
+      const requestOptions = [method.hasBody ? 'body' : null, options ? 'params: this.toHttpParams(params)' : null].filter(Boolean);
+      call = `this.http.request<${responseType}>('${endpoint.method}', \`\${this.baseUrl}${url}\`${requestOptions.length ? `, { ${requestOptions.join(', ')} }` : ''})`;
+    }
+
+    const count = endpoint.logs.length;
+    return [
+      `  /** ${endpoint.method} ${endpoint.routeTemplate} (${count} appel${count > 1 ? 's' : ''} observé${count > 1 ? 's' : ''}) */`,
+      `  ${method.name}(${args.join(', ')}): Observable<${responseType}> {`,
+      `    return ${call};`,
+      `  }`
+    ].join('\n');
+  }
+
+  renderParamsHelper() {
+    return `  private toHttpParams(params: Record<string, unknown> = {}): HttpParams {
+    return Object.keys(params).reduce((httpParams, key) => {
+      const value = params[key];
+      if (value === undefined || value === null) return httpParams;
+      return Array.isArray(value)
+        ? value.reduce((acc: HttpParams, item) => acc.append(key, String(item)), httpParams)
+        : httpParams.set(key, String(value));
+    }, new HttpParams());
+  }`;
+  }
+
+  // Sans échantillon JSON : void pour les réponses vides, unknown sinon
+  fallbackResponseType(logs) {
+    const hasBody = logs.some(log => log.statusCode !== 204 && log.responseText);
+    return hasBody ? 'unknown' : 'void';
+  }
+
+  // Une valeur n'est un nombre que si Number() la restitue à l'identique : "007" ou "1.50" restent des chaînes
+  scalarType(values) {
+    if (values.length === 0) return 'string';
+    if (values.every(value => /^-?\d+(\.\d+)?$/.test(value) && String(Number(value)) === String(value) &&
+      String(value).length < 16)) return 'number';
+    if (values.every(value => value === 'true' || value === 'false')) return 'boolean';
+    return 'string';
+  }
+
+  uniqueName(name, names) {
+    let candidate = name;
+    let suffix = 2;
+    while (names.has(candidate)) {
+      candidate = name + suffix++;
+    }
+    names.add(candidate);
+    return candidate;
+  }
+}
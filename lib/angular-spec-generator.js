@@ -0,0 +1,187 @@
+// lib/angular-spec-generator.js - Specs Angular (HttpTestingController) rejouant les appels enregistrés
+// Les specs ciblent les services produits par AngularServiceGenerator (mêmes classes, mêmes méthodes)
+// et n'utilisent que describe / it / expect : elles tournent sous Jasmine (Karma) comme sous Jest.
+// Dépend de AngularServiceGenerator (lib/angular-service-generator.js)
+class AngularSpecGenerator {
+  constructor(options = {}) {
+    this.serviceGenerator = new AngularServiceGenerator(options);
+    this.tokenName = this.serviceGenerator.tokenName;
+    // Endpoints à couvrir ("GET /api/users/{id}" ou "/api/users/{id}") ; vide = tous
+    this.endpoints = (options.endpoints || []).map(endpoint => endpoint.trim()).filter(Boolean);
+    this.maxCallsPerEndpoint = options.maxCallsPerEndpoint || 5;
+  }
+
+  // Services générés + un fichier .spec.ts par service : [{ name, content }]
+  generate(logs) {
+    const header = `// Généré par API Logger le ${new Date().toISOString()} à partir de ${logs.length} appels capturés\n`;
+    const files = this.serviceGenerator.generate(logs);
+
+    this.serviceGenerator.services(logs).forEach(({ className, fileName, group }) => {
+      const methods = this.serviceGenerator.describeMethods(group)
+        .filter(method => this.isSelected(method.endpoint));
+      const calls = methods.flatMap(method => this.recordedCalls(method.endpoint)
+        .map((log, index) => ({ method, log, index: index + 1 })));
+      if (calls.length === 0) return;
+
+      files.push({
+        name: `services/${fileName}.spec.ts`,
+        content: header + '\n' + this.renderSpec(className, fileName, calls)
+      });
+    });
+
+    return files;
+  }
+
+  isSelected(endpoint) {
+    if (this.endpoints.length === 0) return true;
+    return this.endpoints.some(selected => /^[A-Z]+\s/.test(selected)
+      ? selected.replace(/\s+/, ' ') === endpoint.key
+      : selected === endpoint.routeTemplate);
+  }
+
+  // Appels distincts (URL, corps, statut, réponse) ; sans statut HTTP (erreur réseau), rien à flusher
+  recordedCalls(endpoint) {
+    const seen = new Set();
+    return endpoint.logs
+      .filter(log => log.statusCode)
+      .filter(log => {
+        const key = JSON.stringify([log.url, this.requestBody(log), log.statusCode, this.responseBody(log)]);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, this.maxCallsPerEndpoint);
+  }
+
+  renderSpec(className, fileName, calls) {
+    const cases = calls.map(({ method, log, index }) => this.renderCase(method, log, index));
+    const errorImport = calls.some(({ log }) => this.isError(log))
+      ? `import { HttpErrorResponse } from '@angular/common/http';\n`
+      : '';
+
+    return `import { TestBed } from '@angular/core/testing';
+${errorImport}import { HttpClientTestingModule, HttpTestingController } from '@angular/common/http/testing';
+
+import { ${this.tokenName} } from '../api-base-url.token';
+import { ${className} } from './${fileName}';
+
+describe('${className} (appels enregistrés)', () => {
+  const BASE_URL = 'https://api.test';
+  let service: ${className};
+  let httpMock: HttpTestingController;
+
+  beforeEach(() => {
+    TestBed.configureTestingModule({
+      imports: [HttpClientTestingModule],
+      providers: [{ provide: ${this.tokenName}, useValue: BASE_URL }]
+    });
+    service = TestBed.inject(${className});
+    httpMock = TestBed.inject(HttpTestingController);
+  });
+
+  afterEach(() => {
+    httpMock.verify();
+  });
+
+${cases.join('\n\n')}
+});
+`;
+  }
+
+  renderCase(method, log, index) {
+    const { endpoint } = method;
+    const args = method.pathParams.map(param => this.pathArgument(param, log));
+    const body = this.requestBody(log);
+    if (method.hasBody) args.push(body !== undefined ? this.literal(body, 4) : 'null');
+
+    const query = log.queryParams || {};
+    const params = method.queryParams.filter(param => query[param.name] !== undefined);
+    if (params.length > 0) {
+      const fields = params.map(param => `${Naming.isIdentifier(param.name) ? param.name : JSON.stringify(param.name)}: ` +
+        JSON.stringify(this.queryArgument(param, query[param.name])));
+      args.push(`{ ${fields.join(', ')} }`);
+    }
+
+    const isError = this.isError(log);
+    const response = this.responseBody(log);
+    const lines = [
+      `  it('${endpoint.method} ${endpoint.routeTemplate.replace(/[\\']/g, '\\$&')} -> ${log.statusCode} (#${index})', () => {`,
+      isError ? '    let error: HttpErrorResponse | undefined;' : '    let result: unknown;',
+      isError
+        ? `    service.${method.name}(${args.join(', ')}).subscribe({ error: (e: HttpErrorResponse) => (error = e) });`
+        : `    service.${method.name}(${args.join(', ')}).subscribe(response => (result = response));`,
+      '',
+      `    const req = httpMock.expectOne(request =>`,
+      `      request.method === '${endpoint.method}' && request.url === \`\${BASE_URL}${this.requestPath(method, log)}\`);`
+    ];
+
+    params.forEach(param => {
+      const values = [].concat(query[param.name]).map(String);
+      lines.push(`    expect(req.request.params.getAll(${JSON.stringify(param.name)})).toEqual(${JSON.stringify(values)});`);
+    });
+    if (method.hasBody && body !== undefined) {
+      lines.push(`    expect(req.request.body).toEqual(${this.literal(body, 4)});`);
+    }
+
+    lines.push(
+      `    req.flush(${response !== undefined ? this.literal(response, 4) : 'null'}, ` +
+        `{ status: ${log.statusCode}, statusText: ${JSON.stringify(log.statusText || '')} });`,
+      '',
+      isError
+        ? `    expect(error?.status).toBe(${log.statusCode});`
+        : `    expect(result).toEqual(${response !== undefined ? this.literal(response, 4) : 'null'});`,
+      '  });'
+    );
+
+    return lines.join('\n');
+  }
+
+  // Même encodage que les services générés : encodeURIComponent de la valeur décodée
+  requestPath(method, log) {
+    let path = method.endpoint.routeTemplate;
+    method.pathParams.forEach(param => {
+      path = path.replace(`{${param.original}}`, encodeURIComponent(this.pathValue(param, log)));
+    });
+    return path.replace(/[`\\$]/g, '\\$&');
+  }
+
+  // HttpClient ne transmet en succès que les statuts 2xx : une redirection flushée arrive en erreur
+  isError(log) {
+    return log.statusCode >= 300;
+  }
+
+  // Déjà décodée par EndpointNormalizer : un second decodeURIComponent casserait sur un "%" littéral
+  pathValue(param, log) {
+    return String((log.pathParams && log.pathParams[param.original]) || '');
+  }
+
+  pathArgument(param, log) {
+    const value = this.pathValue(param, log);
+    // scalarType ne type en number que des valeurs que Number() restitue à l'identique
+    return param.type === 'number' ? value : JSON.stringify(value);
+  }
+
+  queryArgument(param, value) {
+    const convert = item => {
+      if (param.type.startsWith('number')) return Number(item);
+      if (param.type.startsWith('boolean')) return item === 'true';
+      return item;
+    };
+    return param.type.endsWith('[]') ? [].concat(value).map(convert) : convert([].concat(value)[0]);
+  }
+
+  requestBody(log) {
+    if (log.requestJSON !== undefined) return log.requestJSON;
+    return typeof log.requestData === 'string' && log.requestData ? log.requestData : undefined;
+  }
+
+  responseBody(log) {
+    if (log.responseJSON !== undefined) return log.responseJSON;
+    return typeof log.responseText === 'string' && log.responseText ? log.responseText : undefined;
+  }
+
+  // JSON indenté au niveau du code qui l'entoure
+  literal(value, indent) {
+    return JSON.stringify(value, null, 2).split('\n').join('\n' + ' '.repeat(indent));
+  }
+}
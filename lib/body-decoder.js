@@ -0,0 +1,209 @@
+// lib/body-decoder.js - Décodage des corps de requête vus par chrome.webRequest (details.requestBody)
+// Les en-têtes ne sont pas encore connus à onBeforeRequest : le format est déduit du contenu.
+// Même forme que les corps sérialisés par injected.js :
+//   { type: 'json' | 'formData' | 'multipart' | 'xml' | 'text' | 'binary', data, size, truncated?, encoding? }
+// formData et multipart : { champ: [valeur] }, un fichier étant { fileName, contentType, size }
+// et un champ texte tronqué { value, truncated: true } (le corps est alors lui aussi truncated).
+class BodyDecoder {
+  constructor(options = {}) {
+    this.maxTextBytes = options.maxTextBytes || BodyDecoder.MAX_TEXT_BYTES;
+    this.maxBinaryBytes = options.maxBinaryBytes || BodyDecoder.MAX_BINARY_BYTES;
+  }
+
+  // Au-delà, le texte est tronqué (et n'est plus interprété)
+  static get MAX_TEXT_BYTES() {
+    return 1024 * 1024;
+  }
+
+  // Le binaire est conservé en base64 jusqu'à cette taille
+  static get MAX_BINARY_BYTES() {
+    return 64 * 1024;
+  }
+
+  decode(requestBody) {
+    if (!requestBody) return null;
+    if (requestBody.error) return { type: 'error', data: requestBody.error };
+
+    // Formulaire déjà analysé par Chrome (urlencoded, ou multipart sans fichier)
+    if (requestBody.formData) {
+      return { type: 'formData', data: requestBody.formData };
+    }
+    if (!requestBody.raw) return null;
+
+    // Un corps peut arriver en plusieurs morceaux ; un fichier lu sur disque n'a que son chemin
+    const chunks = [];
+    const fileOffsets = [];
+    let size = 0;
+    requestBody.raw.forEach(part => {
+      if (part.bytes) {
+        chunks.push(new Uint8Array(part.bytes));
+        size += part.bytes.byteLength;
+      } else if (part.file) {
+        fileOffsets.push(size);
+      }
+    });
+
+    const bytes = new Uint8Array(size);
+    let offset = 0;
+    chunks.forEach(chunk => {
+      bytes.set(chunk, offset);
+      offset += chunk.length;
+    });
+
+    return this.decodeBytes(bytes, fileOffsets);
+  }
+
+  decodeBytes(bytes, fileOffsets = []) {
+    if (bytes.length === 0) {
+      return fileOffsets.length > 0 ? { type: 'binary', size: null, data: null } : null;
+    }
+
+    const boundary = this.multipartBoundary(bytes);
+    if (boundary) {
+      const data = this.parseMultipart(bytes, boundary, fileOffsets);
+      const result = { type: 'multipart', size: bytes.length, data };
+      if (Object.values(data).some(values => values.some(value => value.truncated))) result.truncated = true;
+      return result;
+    }
+
+    const text = this.utf8(bytes, true);
+    if (text === null) return this.binary(bytes);
+    if (bytes.length > this.maxTextBytes) {
+      return { type: 'text', size: bytes.length, truncated: true, data: this.utf8(bytes.subarray(0, this.maxTextBytes)) };
+    }
+
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      try {
+        return { type: 'json', size: bytes.length, data: JSON.parse(trimmed) };
+      } catch (e) {
+        // Pas du JSON valide : décodé comme du texte
+      }
+    }
+    if (/^<(\?xml|[\w:-]+[\s>/])/.test(trimmed)) {
+      return { type: 'xml', size: bytes.length, data: this.prettyXml(trimmed) };
+    }
+    if (/^[^=&\s]+=[^&\s]*(&[^=&\s]+=[^&\s]*)*$/.test(trimmed)) {
+      return { type: 'formData', size: bytes.length, data: this.parseUrlEncoded(trimmed) };
+    }
+    return { type: 'text', size: bytes.length, data: text };
+  }
+
+  // Un corps multipart commence par "--<boundary>" suivi des en-têtes de la première partie
+  multipartBoundary(bytes) {
+    const head = this.utf8(bytes.subarray(0, 512));
+    const match = head.match(/^--([^\r\n]{1,200})\r\n(?:[\w-]+:[^\r\n]*\r\n)*?content-disposition:/i);
+    return match ? match[1] : null;
+  }
+
+  // Découpage sur une vue latin1 (un caractère par octet) pour garder les positions en octets
+  parseMultipart(bytes, boundary, fileOffsets) {
+    const raw = new TextDecoder('latin1').decode(bytes);
+    const delimiter = `--${boundary}`;
+    const data = {};
+
+    let start = raw.indexOf(delimiter);
+    while (start !== -1) {
+      const partStart = start + delimiter.length;
+      if (raw.startsWith('--', partStart)) break; // Délimiteur final
+      const end = raw.indexOf(`\r\n${delimiter}`, partStart);
+      const headerEnd = raw.indexOf('\r\n\r\n', partStart);
+      if (headerEnd === -1 || (end !== -1 && headerEnd > end)) break;
+
+      const contentStart = headerEnd + 4;
+      const contentEnd = end === -1 ? raw.length : end;
+      const headers = this.utf8(bytes.subarray(partStart, headerEnd));
+      const disposition = (headers.match(/content-disposition:([^\r\n]*)/i) || [])[1] || '';
+      const name = this.dispositionParam(disposition, 'name');
+      const fileName = this.dispositionParam(disposition, 'filename');
+
+      if (name !== null) {
+        let value;
+        if (fileName !== null) {
+          const contentType = (headers.match(/content-type:\s*([^\r\n;]*)/i) || [])[1];
+          const onDisk = fileOffsets.some(fileOffset => fileOffset >= contentStart && fileOffset <= contentEnd);
+          value = { fileName, contentType: contentType || 'application/octet-stream', size: onDisk ? null : contentEnd - contentStart };
+        } else {
+          const content = bytes.subarray(contentStart, contentEnd);
+          value = content.length > this.maxTextBytes
+            ? { value: this.utf8(content.subarray(0, this.maxTextBytes)), truncated: true }
+            : this.utf8(content);
+        }
+        if (!data[name]) data[name] = [];
+        data[name].push(value);
+      }
+
+      start = end === -1 ? -1 : end + 2;
+    }
+
+    return data;
+  }
+
+  dispositionParam(disposition, param) {
+    const match = disposition.match(new RegExp(`(?:^|;)\\s*${param}="((?:[^"\\\\]|\\\\.)*)"`, 'i')) ||
+      disposition.match(new RegExp(`(?:^|;)\\s*${param}=([^;\\s]+)`, 'i'));
+    return match ? match[1].replace(/\\(.)/g, '$1') : null;
+  }
+
+  parseUrlEncoded(text) {
+    const data = {};
+    new URLSearchParams(text).forEach((value, name) => {
+      if (!data[name]) data[name] = [];
+      data[name].push(value);
+    });
+    return data;
+  }
+
+  binary(bytes) {
+    const kept = bytes.subarray(0, this.maxBinaryBytes);
+    const result = { type: 'binary', size: bytes.length, encoding: 'base64', data: this.toBase64(kept) };
+    if (kept.length < bytes.length) result.truncated = true;
+    return result;
+  }
+
+  toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  // `strict` : null si les octets ne sont pas de l'UTF-8 valide (contenu binaire)
+  utf8(bytes, strict) {
+    try {
+      return new TextDecoder('utf-8', { fatal: !!strict }).decode(bytes);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Une balise par ligne ; un élément ne contenant que du texte reste sur une ligne
+  prettyXml(xml) {
+    const tokens = xml.match(/<!\[CDATA\[[\s\S]*?\]\]>|<!--[\s\S]*?-->|<[^>]+>|[^<]+/g) || [];
+    const lines = [];
+    let depth = 0;
+    let inline = false;
+
+    tokens.forEach(token => {
+      const value = token.trim();
+      if (!value) return;
+
+      if (value.startsWith('</')) {
+        depth = Math.max(0, depth - 1);
+        if (inline) lines[lines.length - 1] += value;
+        else lines.push('  '.repeat(depth) + value);
+        inline = false;
+      } else if (!value.startsWith('<')) {
+        if (inline) lines[lines.length - 1] += value;
+        else lines.push('  '.repeat(depth) + value);
+      } else {
+        lines.push('  '.repeat(depth) + value);
+        inline = !/^<[?!]/.test(value) && !value.endsWith('/>');
+        if (inline) depth++;
+      }
+    });
+
+    return lines.join('\n');
+  }
+}
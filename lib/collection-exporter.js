@@ -0,0 +1,204 @@
+// lib/collection-exporter.js - Export des logs en collection Postman v2.1 ou en export Insomnia (v4)
+// Dépend de RequestSnippets (lib/request-snippets.js) pour les en-têtes et le corps
+class CollectionExporter {
+  constructor(options = {}) {
+    this.name = options.name || 'API Logger';
+    // 'route' : un dossier par template de chemin ; 'session' : un dossier par session
+    this.groupBy = options.groupBy === 'session' ? 'session' : 'route';
+    this.sessions = options.sessions || [];
+    this.snippets = new RequestSnippets();
+  }
+
+  static get POSTMAN_SCHEMA() {
+    return 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+  }
+
+  toPostman(logs) {
+    const requests = this.requestLogs(logs);
+    const baseUrls = this.baseUrlVariables(requests);
+
+    return {
+      info: {
+        name: this.name,
+        description: `Genere par API Logger le ${new Date().toISOString()}`,
+        schema: CollectionExporter.POSTMAN_SCHEMA
+      },
+      variable: [...baseUrls.entries()].map(([origin, variable]) => ({ key: variable, value: origin, type: 'string' })),
+      item: this.groups(requests).map(([name, groupLogs]) => ({
+        name,
+        item: groupLogs.map(log => this.toPostmanItem(log, baseUrls))
+      }))
+    };
+  }
+
+  toPostmanItem(log, baseUrls) {
+    const url = new URL(log.url);
+    const variable = baseUrls.get(url.origin);
+    const request = {
+      method: log.method,
+      header: Object.entries(this.snippets.headers(log)).map(([key, value]) => ({ key, value: String(value) })),
+      url: {
+        raw: `{{${variable}}}${url.pathname}${url.search}`,
+        host: [`{{${variable}}}`],
+        path: url.pathname.split('/').filter(Boolean),
+        query: [...url.searchParams.entries()].map(([key, value]) => ({ key, value }))
+      }
+    };
+    if (request.url.query.length === 0) delete request.url.query;
+
+    const body = this.requestBody(log);
+    const fields = this.snippets.formFields(log);
+    if (body !== undefined) {
+      request.body = { mode: 'raw', raw: body };
+      if (log.requestJSON !== undefined) request.body.options = { raw: { language: 'json' } };
+    } else if (fields) {
+      // Les fichiers sont à resélectionner dans Postman : seul leur nom est connu
+      request.body = {
+        mode: 'formdata',
+        formdata: fields.map(field => field.fileName !== undefined
+          ? { key: field.name, type: 'file', src: field.fileName, contentType: field.contentType }
+          : { key: field.name, type: 'text', value: field.value, ...this.truncatedNote(field) })
+      };
+    }
+
+    const item = { name: this.requestName(log), request };
+
+    // La réponse enregistrée devient un exemple de la requête
+    if (log.statusCode) {
+      const responseBody = this.responseBody(log);
+      item.response = [{
+        name: `${log.statusCode} ${log.statusText || ''}`.trim(),
+        originalRequest: request,
+        status: log.statusText || '',
+        code: log.statusCode,
+        _postman_previewlanguage: log.responseJSON !== undefined ? 'json' : 'text',
+        header: Object.entries(log.responseHeaders || {}).map(([key, value]) => ({ key, value: String(value) })),
+        body: responseBody !== undefined ? responseBody : ''
+      }];
+    }
+
+    return item;
+  }
+
+  // Insomnia n'a pas d'équivalent aux exemples Postman : seules les requêtes sont exportées
+  toInsomnia(logs) {
+    const requests = this.requestLogs(logs);
+    const baseUrls = this.baseUrlVariables(requests);
+    const workspaceId = 'wrk_apilogger';
+    const environment = {};
+    baseUrls.forEach((variable, origin) => { environment[variable] = origin; });
+
+    const resources = [
+      { _id: workspaceId, _type: 'workspace', name: this.name, description: '' },
+      { _id: 'env_apilogger', _type: 'environment', parentId: workspaceId, name: 'Base Environment', data: environment }
+    ];
+
+    this.groups(requests).forEach(([name, groupLogs], groupIndex) => {
+      const folderId = `fld_apilogger_${groupIndex + 1}`;
+      resources.push({ _id: folderId, _type: 'request_group', parentId: workspaceId, name });
+
+      groupLogs.forEach((log, index) => {
+        const url = new URL(log.url);
+        const body = this.requestBody(log);
+        const contentType = Object.entries(log.requestHeaders || {})
+          .find(([header]) => header.toLowerCase() === 'content-type');
+
+        resources.push({
+          _id: `req_apilogger_${groupIndex + 1}_${index + 1}`,
+          _type: 'request',
+          parentId: folderId,
+          name: this.requestName(log),
+          method: log.method,
+          url: `{{ _.${baseUrls.get(url.origin)} }}${url.pathname}${url.search}`,
+          headers: Object.entries(this.snippets.headers(log)).map(([header, value]) => ({ name: header, value: String(value) })),
+          body: this.insomniaBody(log, body, contentType)
+        });
+      });
+    });
+
+    return {
+      _type: 'export',
+      __export_format: 4,
+      __export_date: new Date().toISOString(),
+      __export_source: 'api-logger',
+      resources
+    };
+  }
+
+  requestLogs(logs) {
+    return logs
+      .filter(log => log.method && /^https?:/.test(log.url || ''))
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  }
+
+  // Une variable par origine, la plus fréquente en `baseUrl`, les suivantes en baseUrl2, baseUrl3...
+  baseUrlVariables(logs) {
+    const counts = new Map();
+    logs.forEach(log => {
+      const origin = new URL(log.url).origin;
+      counts.set(origin, (counts.get(origin) || 0) + 1);
+    });
+
+    const variables = new Map();
+    [...counts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([origin], index) => variables.set(origin, index === 0 ? 'baseUrl' : `baseUrl${index + 1}`));
+    return variables;
+  }
+
+  // -> [[nom du dossier, logs dans l'ordre chronologique]]
+  groups(logs) {
+    const groups = new Map();
+    logs.forEach(log => {
+      const name = this.groupName(log);
+      if (!groups.has(name)) groups.set(name, []);
+      groups.get(name).push(log);
+    });
+
+    const entries = [...groups.entries()];
+    // Les sessions gardent l'ordre de capture ; les routes sont triées
+    return this.groupBy === 'session' ? entries : entries.sort((a, b) => a[0].localeCompare(b[0]));
+  }
+
+  groupName(log) {
+    if (this.groupBy === 'session') {
+      const session = this.sessions.find(s => s.id === log.sessionId);
+      return session ? session.name : 'Sans session';
+    }
+    return log.routeTemplate || new URL(log.url).pathname;
+  }
+
+  requestName(log) {
+    return `${log.method} ${log.routeTemplate || new URL(log.url).pathname}`;
+  }
+
+  insomniaBody(log, body, contentType) {
+    if (body !== undefined) {
+      return { mimeType: contentType ? String(contentType[1]).split(';')[0].trim() : 'application/json', text: body };
+    }
+    const fields = this.snippets.formFields(log);
+    if (!fields) return {};
+    return {
+      mimeType: 'multipart/form-data',
+      params: fields.map(field => field.fileName !== undefined
+        ? { name: field.name, type: 'file', fileName: field.fileName }
+        : { name: field.name, value: field.value, ...this.truncatedNote(field) })
+    };
+  }
+
+  // Champ multipart coupé à la capture : la valeur exportée est incomplète
+  truncatedNote(field) {
+    return field.truncated ? { description: 'Valeur tronquee a la capture' } : {};
+  }
+
+  // Corps JSON réindenté pour rester lisible dans l'éditeur
+  requestBody(log) {
+    if (log.requestJSON !== undefined && log.requestJSON !== null) return JSON.stringify(log.requestJSON, null, 2);
+    return this.snippets.body(log);
+  }
+
+  responseBody(log) {
+    if (log.responseJSON !== undefined) return JSON.stringify(log.responseJSON, null, 2);
+    return typeof log.responseText === 'string' ? log.responseText : undefined;
+  }
+}
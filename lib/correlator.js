@@ -0,0 +1,151 @@
+// lib/correlator.js - Fusion des captures webRequest et content script
+// Un même appel HTTP est vu deux fois : par chrome.webRequest (statut, en-têtes,
+// requestId) et par injected.js (bodies). On les rapproche en une seule entrée.
+class LogCorrelator {
+  constructor(options = {}) {
+    // Écart maximum entre les débuts de requête vus par les deux sources
+    this.windowMs = options.windowMs || 5000;
+    // Nombre d'entrées récentes parcourues pour trouver une correspondance
+    this.lookback = options.lookback || 200;
+  }
+
+  // Champs dont la valeur réseau fait foi
+  static get NETWORK_FIELDS() {
+    return ['id', 'requestId', 'timestamp', 'responseTimestamp', 'duration', 'tabId', 'frameId',
+      'initiator', 'resourceType', 'statusCode', 'requestBody', 'fromCache', 'ip'];
+  }
+
+  // Champs dont la valeur côté page fait foi
+  static get PAGE_FIELDS() {
+    return ['statusText', 'requestHeaders', 'requestData', 'requestJSON', 'responseType',
+      'responseText', 'responseJSON', 'source', 'tabUrl', 'angularContext', 'callStack'];
+  }
+
+  // Schéma unifié pour une entrée issue de webRequest
+  normalizeNetworkEntry(requestEntry, details) {
+    const entry = {
+      ...requestEntry,
+      responseTimestamp: new Date(details.timeStamp).toISOString(),
+      duration: Math.round(details.timeStamp - new Date(requestEntry.timestamp).getTime()),
+      captureMethod: 'webRequest'
+    };
+
+    if (details.error) {
+      entry.error = details.error;
+    } else {
+      entry.statusCode = details.statusCode;
+      entry.statusText = this.statusTextFromLine(details.statusLine);
+      entry.responseHeaders = this.headersToObject(details.responseHeaders);
+      entry.fromCache = details.fromCache;
+      entry.ip = details.ip;
+    }
+
+    return entry;
+  }
+
+  // Schéma unifié pour une entrée issue de injected.js
+  normalizeContentEntry(data, sender) {
+    const { status, ...rest } = data;
+    const entry = {
+      ...rest,
+      id: `page-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      statusCode: status,
+      responseHeaders: typeof data.responseHeaders === 'string'
+        ? this.parseHeaderString(data.responseHeaders)
+        : (data.responseHeaders || {}),
+      tabId: sender.tab ? sender.tab.id : null,
+      tabUrl: sender.tab ? sender.tab.url : null,
+      frameId: sender.frameId,
+      captureMethod: 'content-script'
+    };
+
+    // Un statut 0 côté page correspond à une erreur réseau, pas à un code HTTP
+    if (!entry.statusCode) {
+      delete entry.statusCode;
+    }
+
+    return entry;
+  }
+
+  // Chercher dans les logs récents l'entrée de l'autre source correspondant à `entry`
+  findMatch(logs, entry) {
+    const entryTime = new Date(entry.timestamp).getTime();
+    const entryUrl = this.stripFragment(entry.url);
+    const start = Math.max(0, logs.length - this.lookback);
+    let best = null;
+    let bestGap = Infinity;
+
+    for (let i = logs.length - 1; i >= start; i--) {
+      const candidate = logs[i];
+      if (candidate.captureMethod === 'merged' ||
+          candidate.captureMethod === entry.captureMethod ||
+          candidate.tabId !== entry.tabId ||
+          candidate.method !== entry.method ||
+          this.stripFragment(candidate.url) !== entryUrl) {
+        continue;
+      }
+
+      const gap = Math.abs(new Date(candidate.timestamp).getTime() - entryTime);
+      if (gap <= this.windowMs && gap < bestGap) {
+        best = candidate;
+        bestGap = gap;
+      }
+    }
+
+    return best;
+  }
+
+  // Fusionner une entrée webRequest et une entrée content script
+  merge(a, b) {
+    const network = a.captureMethod === 'webRequest' ? a : b;
+    const page = network === a ? b : a;
+    const merged = { ...page, ...network };
+
+    LogCorrelator.PAGE_FIELDS.forEach(field => {
+      if (page[field] !== undefined) merged[field] = page[field];
+    });
+    LogCorrelator.NETWORK_FIELDS.forEach(field => {
+      if (network[field] === undefined && page[field] !== undefined) merged[field] = page[field];
+    });
+
+    if (!network.responseHeaders || Object.keys(network.responseHeaders).length === 0) {
+      merged.responseHeaders = page.responseHeaders;
+    }
+    merged.error = network.error || page.error;
+    if (!merged.error) delete merged.error;
+    merged.captureMethod = 'merged';
+
+    return merged;
+  }
+
+  headersToObject(headers) {
+    const result = {};
+    (headers || []).forEach(header => {
+      result[header.name.toLowerCase()] = header.value;
+    });
+    return result;
+  }
+
+  parseHeaderString(headerString) {
+    const result = {};
+    headerString.trim().split(/[\r\n]+/).forEach(line => {
+      const index = line.indexOf(':');
+      if (index > 0) {
+        result[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+      }
+    });
+    return result;
+  }
+
+  // "HTTP/1.1 404 Not Found" -> "Not Found"
+  statusTextFromLine(statusLine) {
+    if (!statusLine) return undefined;
+    const match = statusLine.match(/^\S+\s+\d{3}\s*(.*)$/);
+    return match ? match[1] : undefined;
+  }
+
+  stripFragment(url) {
+    const index = (url || '').indexOf('#');
+    return index === -1 ? url : url.slice(0, index);
+  }
+}
@@ -0,0 +1,256 @@
+// lib/coverage-report.js - Couverture des endpoints d'une référence par les logs capturés
+// Référence : spécification OpenAPI (JSON ou YAML) ou liste de lignes "METHOD /path"
+class CoverageReporter {
+  constructor(options = {}) {
+    // Filtre des appels API (les ressources statiques ne comptent pas)
+    this.isApiCall = options.isApiCall || (log => Boolean(log.method && log.url));
+  }
+
+  static get METHODS() {
+    return ['get', 'post', 'put', 'patch', 'delete', 'head', 'options', 'trace'];
+  }
+
+  // -> [{ method, path }], path au format /users/{id}
+  parseReference(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{')) {
+      return this.fromOpenAPI(JSON.parse(trimmed));
+    }
+    if (/^(openapi|swagger)\s*:/m.test(trimmed) && /^paths\s*:/m.test(trimmed)) {
+      return this.fromOpenAPIYaml(trimmed);
+    }
+    return this.fromList(trimmed);
+  }
+
+  fromOpenAPI(spec) {
+    if (!spec.paths) throw new Error('Specification OpenAPI invalide : paths manquant');
+
+    const basePath = this.serverBasePath(spec.servers && spec.servers[0] && spec.servers[0].url) ||
+      (spec.basePath || '').replace(/\/$/, '');
+    const endpoints = [];
+    Object.keys(spec.paths).forEach(path => {
+      Object.keys(spec.paths[path] || {})
+        .filter(method => CoverageReporter.METHODS.includes(method.toLowerCase()))
+        .forEach(method => endpoints.push({ method: method.toUpperCase(), path: basePath + path }));
+    });
+    return endpoints;
+  }
+
+  // Lecture minimale du YAML : seuls `servers[0].url` et les clés de `paths` sont utiles
+  fromOpenAPIYaml(text) {
+    const lines = text.split(/\r?\n/);
+    const endpoints = [];
+    let basePath = '';
+    let inPaths = false;
+    let pathIndent = null;
+    let currentPath = null;
+    // Indentation des opérations sous le chemin courant : les clés plus profondes
+    // (propriétés de schéma nommées "options", "delete"...) ne sont pas des méthodes
+    let operationIndent = null;
+
+    const serverLine = text.match(/^servers\s*:\s*\n\s*-\s*url\s*:\s*['"]?([^'"\n]+)['"]?/m);
+    if (serverLine) basePath = this.serverBasePath(serverLine[1].trim());
+
+    lines.forEach(line => {
+      if (!line.trim() || line.trim().startsWith('#')) return;
+      const indent = line.length - line.trimStart().length;
+
+      if (indent === 0) {
+        inPaths = /^paths\s*:/.test(line);
+        currentPath = null;
+        return;
+      }
+      if (!inPaths) return;
+
+      const key = line.trim().match(/^['"]?([^'":]+(?::[^'":\s]+)*)['"]?\s*:/);
+      if (!key) return;
+
+      if (pathIndent === null) pathIndent = indent;
+      if (indent === pathIndent) {
+        currentPath = key[1].startsWith('/') ? key[1] : null;
+        operationIndent = null;
+        return;
+      }
+      if (!currentPath || indent < pathIndent) return;
+      if (operationIndent === null) operationIndent = indent;
+      if (indent === operationIndent && CoverageReporter.METHODS.includes(key[1].toLowerCase())) {
+        endpoints.push({ method: key[1].toUpperCase(), path: basePath + currentPath });
+      }
+    });
+
+    if (endpoints.length === 0) throw new Error('Specification OpenAPI YAML sans endpoint');
+    return endpoints;
+  }
+
+  // "GET /api/users/:id", "POST https://host/api/users" ; # pour les commentaires
+  fromList(text) {
+    const endpoints = [];
+    text.split(/\r?\n/).forEach(line => {
+      const match = line.replace(/#.*$/, '').trim().match(/^([A-Za-z]+)\s+(\S+)$/);
+      if (!match) return;
+
+      let path = match[2];
+      if (/^https?:\/\//.test(path)) path = decodeURI(new URL(path).pathname);
+      path = path.split('?')[0].replace(/\/:([A-Za-z_][\w]*)/g, '/{$1}');
+      endpoints.push({ method: match[1].toUpperCase(), path });
+    });
+
+    if (endpoints.length === 0) throw new Error('Aucun endpoint reconnu (format attendu : METHOD /path)');
+    return endpoints;
+  }
+
+  serverBasePath(url) {
+    if (!url) return '';
+    try {
+      return new URL(url, 'http://localhost').pathname.replace(/\/$/, '');
+    } catch (e) {
+      return '';
+    }
+  }
+
+  templateRegex(path) {
+    const source = path
+      .split(/\{[^}]+\}/)
+      .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('[^/]+');
+    return new RegExp(`^${source.replace(/\/$/, '')}/?$`);
+  }
+
+  generate(logs, referenceEndpoints, referenceName = '') {
+    const reference = referenceEndpoints.map(endpoint => ({
+      ...endpoint,
+      regex: this.templateRegex(endpoint.path),
+      // Les chemins les plus littéraux gagnent : /users/me avant /users/{id}
+      params: (endpoint.path.match(/\{/g) || []).length,
+      hits: 0,
+      statuses: {},
+      lastSeen: null
+    }));
+    const unexpected = new Map();
+
+    logs.filter(log => this.isApiCall(log)).forEach(log => {
+      const path = log.path || new URL(log.url).pathname;
+      const match = reference
+        .filter(endpoint => endpoint.method === log.method && endpoint.regex.test(path))
+        .sort((a, b) => a.params - b.params)[0];
+
+      let target = match;
+      if (!target) {
+        const key = `${log.method} ${log.routeTemplate || path}`;
+        if (!unexpected.has(key)) {
+          unexpected.set(key, { method: log.method, path: log.routeTemplate || path, hits: 0, statuses: {}, lastSeen: null });
+        }
+        target = unexpected.get(key);
+      }
+
+      target.hits++;
+      const status = log.statusCode || 'erreur';
+      target.statuses[status] = (target.statuses[status] || 0) + 1;
+      if (!target.lastSeen || log.timestamp > target.lastSeen) target.lastSeen = log.timestamp;
+    });
+
+    const endpoints = reference.map(({ method, path, hits, statuses, lastSeen }) => ({ method, path, hits, statuses, lastSeen }));
+    const covered = endpoints.filter(endpoint => endpoint.hits > 0).length;
+
+    return {
+      generatedAt: new Date().toISOString(),
+      referenceName,
+      totals: {
+        reference: endpoints.length,
+        covered,
+        uncovered: endpoints.length - covered,
+        unexpected: unexpected.size,
+        coverage: endpoints.length ? Math.round((covered / endpoints.length) * 1000) / 10 : 0
+      },
+      endpoints,
+      unexpected: [...unexpected.values()].sort((a, b) => b.hits - a.hits)
+    };
+  }
+
+  formatStatuses(statuses) {
+    return Object.keys(statuses).map(status => `${status} (${statuses[status]})`).join(', ');
+  }
+
+  toMarkdown(report) {
+    const { totals } = report;
+    const lines = [
+      '# Couverture des endpoints',
+      '',
+      `- Date : ${report.generatedAt}`,
+      `- Référence : ${report.referenceName || '-'}`,
+      `- Couverture : ${totals.covered} / ${totals.reference} (${totals.coverage} %)`,
+      `- Jamais appelés : ${totals.uncovered} | Hors référence : ${totals.unexpected}`,
+      '',
+      '## Endpoints couverts',
+      '',
+      '| Méthode | Chemin | Appels | Statuts | Dernier appel |',
+      '|---|---|---|---|---|'
+    ];
+    report.endpoints.filter(endpoint => endpoint.hits > 0).forEach(endpoint => {
+      lines.push(`| ${endpoint.method} | ${endpoint.path} | ${endpoint.hits} | ${this.formatStatuses(endpoint.statuses)} | ${endpoint.lastSeen} |`);
+    });
+
+    lines.push('', '## Endpoints jamais appelés', '');
+    report.endpoints.filter(endpoint => endpoint.hits === 0).forEach(endpoint => {
+      lines.push(`- ${endpoint.method} ${endpoint.path}`);
+    });
+
+    lines.push('', '## Endpoints hors référence', '', '| Méthode | Route | Appels | Statuts |', '|---|---|---|---|');
+    report.unexpected.forEach(endpoint => {
+      lines.push(`| ${endpoint.method} | ${endpoint.path} | ${endpoint.hits} | ${this.formatStatuses(endpoint.statuses)} |`);
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  toHtml(report) {
+    const { totals } = report;
+    const row = (cells, tag = 'td') => `<tr>${cells.map(cell => `<${tag}>${this.escapeHtml(cell)}</${tag}>`).join('')}</tr>`;
+    const table = (headers, rows) => rows.length === 0
+      ? '<p>Aucun</p>'
+      : `<table>${row(headers, 'th')}${rows.map(cells => row(cells)).join('')}</table>`;
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<title>Couverture des endpoints</title>
+<style>
+  body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; padding: 20px; color: #333; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; margin-bottom: 20px; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eee; }
+  th { background-color: #f8f9fa; }
+  .bar { height: 12px; background-color: #f8d7da; border-radius: 6px; overflow: hidden; max-width: 400px; }
+  .bar div { height: 100%; background-color: #28a745; }
+</style>
+</head>
+<body>
+<h1>Couverture des endpoints</h1>
+<p>Date : ${this.escapeHtml(report.generatedAt)}<br>Référence : ${this.escapeHtml(report.referenceName || '-')}</p>
+<p><strong>${totals.covered} / ${totals.reference} endpoints couverts (${totals.coverage} %)</strong>,
+${totals.uncovered} jamais appelés, ${totals.unexpected} hors référence.</p>
+<div class="bar"><div style="width: ${totals.coverage}%"></div></div>
+<h2>Endpoints couverts</h2>
+${table(['Méthode', 'Chemin', 'Appels', 'Statuts', 'Dernier appel'], report.endpoints
+    .filter(endpoint => endpoint.hits > 0)
+    .map(endpoint => [endpoint.method, endpoint.path, endpoint.hits, this.formatStatuses(endpoint.statuses), endpoint.lastSeen]))}
+<h2>Endpoints jamais appelés</h2>
+${table(['Méthode', 'Chemin'], report.endpoints
+    .filter(endpoint => endpoint.hits === 0)
+    .map(endpoint => [endpoint.method, endpoint.path]))}
+<h2>Endpoints hors référence</h2>
+${table(['Méthode', 'Route', 'Appels', 'Statuts'], report.unexpected
+    .map(endpoint => [endpoint.method, endpoint.path, endpoint.hits, this.formatStatuses(endpoint.statuses)]))}
+</body>
+</html>
+`;
+  }
+
+  escapeHtml(text) {
+    return String(text === undefined || text === null ? '' : text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
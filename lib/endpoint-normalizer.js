@@ -0,0 +1,113 @@
+// lib/endpoint-normalizer.js - Déduction des templates de route à partir des URLs
+// /api/users/42?expand=true -> /api/users/{id} + query { expand: 'true' }
+class EndpointNormalizer {
+  constructor(overrides = []) {
+    this.setOverrides(overrides);
+  }
+
+  // Règles manuelles : templates du type /api/orders/{orderId}/lines/{lineId}
+  // La première règle qui correspond au chemin l'emporte sur la détection automatique
+  setOverrides(templates) {
+    this.overrides = templates
+      .map(template => template.trim())
+      .filter(template => template.startsWith('/'))
+      .map(template => this.compileTemplate(template));
+  }
+
+  compileTemplate(template) {
+    const names = [];
+    const pattern = template.split('/').map(segment => {
+      const match = segment.match(/^\{(\w+)\}$/);
+      if (match) {
+        names.push(match[1]);
+        return '([^/]+)';
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }).join('/');
+
+    return { template, names, regex: new RegExp(`^${pattern}/?$`) };
+  }
+
+  normalize(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      return { routeTemplate: url, path: url, pathParams: {}, queryParams: {} };
+    }
+
+    const path = parsed.pathname;
+    const queryParams = this.parseQuery(parsed.searchParams);
+    const override = this.matchOverride(path);
+    if (override) {
+      return { ...override, path, queryParams };
+    }
+
+    const pathParams = {};
+    const segments = path.split('/').map(segment => {
+      const kind = this.classifySegment(segment);
+      if (!kind) return segment;
+
+      const name = this.uniqueName(kind === 'date' ? 'date' : 'id', pathParams);
+      pathParams[name] = this.decodeSegment(segment);
+      return `{${name}}`;
+    });
+
+    return { routeTemplate: segments.join('/') || '/', path, pathParams, queryParams };
+  }
+
+  matchOverride(path) {
+    for (const override of this.overrides) {
+      const match = path.match(override.regex);
+      if (match) {
+        const pathParams = {};
+        override.names.forEach((name, index) => {
+          pathParams[name] = this.decodeSegment(match[index + 1]);
+        });
+        return { routeTemplate: override.template, pathParams };
+      }
+    }
+    return null;
+  }
+
+  // Type d'un segment variable, ou null si le segment fait partie de la route
+  classifySegment(segment) {
+    if (!segment) return null;
+    if (/^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(segment)) return 'date';
+    if (/^\d+$/.test(segment)) return 'number';
+    if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(segment)) return 'uuid';
+    // md5, sha1, sha256, ObjectId MongoDB...
+    if (/^[0-9a-f]{16,}$/i.test(segment) && /\d/.test(segment)) return 'hash';
+    // Jetons opaques longs mêlant lettres et chiffres
+    if (/^[A-Za-z0-9_-]{20,}$/.test(segment) && /\d/.test(segment) && /[A-Za-z]/.test(segment)) return 'hash';
+    return null;
+  }
+
+  uniqueName(base, pathParams) {
+    if (!(base in pathParams)) return base;
+    let index = 2;
+    while (`${base}${index}` in pathParams) index++;
+    return `${base}${index}`;
+  }
+
+  // Les paramètres répétés (?id=1&id=2) deviennent des tableaux
+  parseQuery(searchParams) {
+    const query = {};
+    searchParams.forEach((value, name) => {
+      if (name in query) {
+        query[name] = [].concat(query[name], value);
+      } else {
+        query[name] = value;
+      }
+    });
+    return query;
+  }
+
+  decodeSegment(segment) {
+    try {
+      return decodeURIComponent(segment);
+    } catch (e) {
+      return segment;
+    }
+  }
+}
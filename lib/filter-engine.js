@@ -0,0 +1,101 @@
+// lib/filter-engine.js - Règles de capture partagées par webRequest et le content script
+// Motifs d'URL (inclusion et exclusion) :
+//   - /expression/flags : expression régulière
+//   - avec * ou ?       : glob sur l'URL complète (https://*.example.com/api/*)
+//   - sinon             : texte contenu dans l'URL (/api/)
+class FilterEngine {
+  constructor(filters = {}) {
+    this.setFilters(filters);
+  }
+
+  // Requêtes internes au navigateur, exclues quelles que soient les règles
+  static get BUILTIN_EXCLUSIONS() {
+    return [/^chrome-extension:\/\//, /^moz-extension:\/\//, /favicon\.ico/];
+  }
+
+  static get ALL_METHODS() {
+    return ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+  }
+
+  setFilters(filters) {
+    this.filters = filters;
+    this.methods = (filters.methods || FilterEngine.ALL_METHODS).map(method => method.toUpperCase());
+    // `urls` : nom des motifs d'inclusion dans les anciens réglages
+    this.include = (filters.include || filters.urls || []).map(pattern => this.compilePattern(pattern)).filter(Boolean);
+    this.exclude = (filters.exclude || []).map(pattern => this.compilePattern(pattern)).filter(Boolean);
+    this.resourceTypes = filters.resourceTypes || [];
+    this.contentTypes = (filters.contentTypes || []).map(type => type.trim().toLowerCase()).filter(Boolean);
+    this.statusRanges = (filters.statuses || []).map(status => this.parseStatusRange(status)).filter(Boolean);
+  }
+
+  compilePattern(pattern) {
+    const text = (pattern || '').trim();
+    if (!text) return null;
+
+    const regex = text.match(/^\/(.+)\/([a-z]*)$/);
+    if (regex) {
+      try {
+        return new RegExp(regex[1], regex[2]);
+      } catch (e) {
+        // Expression invalide : on la traite comme un texte
+      }
+    }
+
+    const escaped = text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    if (/[*?]/.test(text)) {
+      return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+    }
+    return new RegExp(escaped, 'i');
+  }
+
+  // "2xx" -> [200, 299], "400-499" -> [400, 499], "404" -> [404, 404]
+  parseStatusRange(status) {
+    const text = String(status).trim().toLowerCase();
+    let match = text.match(/^([1-5])xx$/);
+    if (match) return [Number(match[1]) * 100, Number(match[1]) * 100 + 99];
+
+    match = text.match(/^(\d{3})\s*-\s*(\d{3})$/);
+    if (match) return [Number(match[1]), Number(match[2])];
+
+    match = text.match(/^(\d{3})$/);
+    if (match) return [Number(match[1]), Number(match[1])];
+
+    return null;
+  }
+
+  // Critères connus dès l'envoi : méthode, URL, type de ressource
+  matchesRequest({ method, url, resourceType }) {
+    if (!url || FilterEngine.BUILTIN_EXCLUSIONS.some(pattern => pattern.test(url))) return false;
+    if (!this.methods.includes((method || '').toUpperCase())) return false;
+    if (this.include.length > 0 && !this.include.some(pattern => pattern.test(url))) return false;
+    if (this.exclude.some(pattern => pattern.test(url))) return false;
+
+    if (this.resourceTypes.length > 0) {
+      // fetch() est rapporté comme xmlhttprequest par webRequest
+      const type = resourceType === 'fetch' ? 'xmlhttprequest' : resourceType;
+      if (!this.resourceTypes.includes(type)) return false;
+    }
+
+    return true;
+  }
+
+  // Critères connus à la réponse. Une réponse sans statut (erreur réseau) ou sans
+  // Content-Type (204...) est conservée : ce sont souvent justement les appels à analyser
+  matchesResponse({ statusCode, contentType }) {
+    if (this.statusRanges.length > 0 && statusCode &&
+        !this.statusRanges.some(([min, max]) => statusCode >= min && statusCode <= max)) {
+      return false;
+    }
+
+    if (this.contentTypes.length > 0 && contentType) {
+      const type = contentType.toLowerCase();
+      if (!this.contentTypes.some(expected => type.includes(expected))) return false;
+    }
+
+    return true;
+  }
+
+  matches(entry) {
+    return this.matchesRequest(entry) && this.matchesResponse(entry);
+  }
+}
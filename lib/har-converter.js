@@ -0,0 +1,275 @@
+// lib/har-converter.js - Conversion entre les logs et le format HAR 1.2
+// Le HAR exporté s'ouvre dans Chrome DevTools, Charles, Fiddler...
+class HarConverter {
+  constructor(options = {}) {
+    this.creatorVersion = options.creatorVersion || '1.0';
+  }
+
+  toHar(logs) {
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: 'API Logger', version: this.creatorVersion },
+        pages: [],
+        entries: logs.filter(log => log.url && log.method).map(log => this.toHarEntry(log))
+      }
+    };
+  }
+
+  toHarEntry(log) {
+    const requestHeaders = this.toHarHeaders(log.requestHeaders);
+    const responseHeaders = this.toHarHeaders(log.responseHeaders);
+    const postData = this.toPostData(log);
+    const content = this.toContent(log);
+    const duration = Math.max(0, Math.round(log.duration || 0));
+
+    const entry = {
+      startedDateTime: log.timestamp,
+      time: duration,
+      request: {
+        method: log.method,
+        url: log.url,
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: requestHeaders,
+        queryString: this.toQueryString(log.url),
+        headersSize: -1,
+        bodySize: postData ? this.byteLength(postData.text || '') : 0
+      },
+      response: {
+        status: log.statusCode || 0,
+        statusText: log.statusText || (log.error ? String(log.error) : ''),
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: responseHeaders,
+        content,
+        redirectURL: (log.responseHeaders && log.responseHeaders.location) || '',
+        headersSize: -1,
+        bodySize: content.size
+      },
+      cache: {},
+      timings: { send: 0, wait: duration, receive: 0 },
+      // Champs propres à l'extension (préfixe _ autorisé par la spécification HAR)
+      _apiLogger: {
+        id: log.id,
+        captureMethod: log.captureMethod,
+        source: log.source,
+        routeTemplate: log.routeTemplate,
+        tabId: log.tabId,
+        error: log.error,
+        angularContext: log.angularContext,
+        callStack: log.callStack
+      }
+    };
+
+    if (postData) entry.request.postData = postData;
+    if (log.ip) entry.serverIPAddress = log.ip;
+    if (log.resourceType) entry._resourceType = log.resourceType;
+
+    return entry;
+  }
+
+  toHarHeaders(headers) {
+    return Object.keys(headers || {}).map(name => ({ name, value: String(headers[name]) }));
+  }
+
+  toQueryString(url) {
+    try {
+      return [...new URL(url).searchParams.entries()].map(([name, value]) => ({ name, value }));
+    } catch (e) {
+      return [];
+    }
+  }
+
+  toPostData(log) {
+    const contentType = this.headerValue(log.requestHeaders, 'content-type');
+
+    if (typeof log.requestData === 'string' && log.requestData) {
+      return { mimeType: contentType || 'text/plain', text: log.requestData };
+    }
+    if (log.requestJSON !== undefined) {
+      return { mimeType: contentType || 'application/json', text: JSON.stringify(log.requestJSON) };
+    }
+    if (log.requestBody && log.requestBody.type === 'formData') {
+      const params = [];
+      Object.keys(log.requestBody.data || {}).forEach(name => {
+        [].concat(log.requestBody.data[name]).forEach(value => params.push({ name, value: String(value) }));
+      });
+      return {
+        mimeType: 'application/x-www-form-urlencoded',
+        params,
+        text: params.map(p => `${encodeURIComponent(p.name)}=${encodeURIComponent(p.value)}`).join('&')
+      };
+    }
+    if (log.requestBody && log.requestBody.type === 'multipart' && log.requestBody.data) {
+      const params = [];
+      Object.keys(log.requestBody.data).forEach(name => {
+        [].concat(log.requestBody.data[name]).forEach(value => {
+          if (value !== null && typeof value === 'object' && value.fileName !== undefined) {
+            params.push({ name, fileName: value.fileName, contentType: value.contentType });
+          } else if (value !== null && typeof value === 'object') {
+            // Champ tronqué à la capture : extension préfixée par "_"
+            params.push({ name, value: String(value.value), _truncated: !!value.truncated });
+          } else {
+            params.push({ name, value: String(value) });
+          }
+        });
+      });
+      return { mimeType: contentType || 'multipart/form-data', params };
+    }
+    if (log.requestBody && log.requestBody.type === 'binary' && log.requestBody.data) {
+      // postData n'a pas de champ encoding en HAR 1.2 : extension préfixée par "_"
+      return { mimeType: contentType || 'application/octet-stream', text: log.requestBody.data, _encoding: 'base64' };
+    }
+    if (log.requestBody && log.requestBody.data !== undefined && log.requestBody.data !== null) {
+      const text = typeof log.requestBody.data === 'string' ? log.requestBody.data : JSON.stringify(log.requestBody.data);
+      const defaultType = { xml: 'application/xml', text: 'text/plain' }[log.requestBody.type] || 'application/json';
+      return { mimeType: contentType || defaultType, text };
+    }
+    return null;
+  }
+
+  toContent(log) {
+    const mimeType = this.headerValue(log.responseHeaders, 'content-type') || 'application/octet-stream';
+    let text = log.responseText;
+    if ((text === undefined || text === null) && log.responseJSON !== undefined) {
+      text = JSON.stringify(log.responseJSON);
+    }
+
+    if (typeof text !== 'string') {
+      return { size: 0, mimeType };
+    }
+    return { size: this.byteLength(text), mimeType, text };
+  }
+
+  // Transformer un fichier HAR (Chrome, Firefox, Charles...) en entrées de log
+  // Retourne { logs, skipped } : une entrée sans startedDateTime valide est ignorée et comptée
+  fromHar(har, importName) {
+    if (!har || !har.log || !Array.isArray(har.log.entries)) {
+      throw new Error('Fichier HAR invalide : log.entries manquant');
+    }
+
+    const logs = har.log.entries
+      .map((entry, index) => this.fromHarEntry(entry, index, importName))
+      .filter(log => log !== null);
+    return { logs, skipped: har.log.entries.length - logs.length };
+  }
+
+  // null si l'entrée n'est pas exploitable (date de début absente ou invalide)
+  fromHarEntry(entry, index, importName) {
+    if (!entry) return null;
+    const startTime = new Date(entry.startedDateTime).getTime();
+    if (isNaN(startTime)) return null;
+
+    const request = entry.request || {};
+    const response = entry.response || {};
+    const duration = Math.round(entry.time || 0);
+    const responseHeaders = this.fromHarHeaders(response.headers);
+
+    const log = {
+      id: `har-${startTime}-${index}`,
+      timestamp: new Date(startTime).toISOString(),
+      responseTimestamp: new Date(startTime + duration).toISOString(),
+      duration,
+      method: String(request.method || 'GET').toUpperCase(),
+      url: request.url,
+      tabId: null,
+      resourceType: entry._resourceType,
+      requestHeaders: this.fromHarHeaders(request.headers),
+      responseHeaders,
+      statusText: response.statusText,
+      ip: entry.serverIPAddress,
+      source: 'har-import',
+      captureMethod: 'har-import',
+      importName
+    };
+
+    // HAR exporté par API Logger : contexte AngularJS et pile d'appel conservés
+    if (entry._apiLogger && entry._apiLogger.angularContext) {
+      log.angularContext = entry._apiLogger.angularContext;
+    }
+    if (entry._apiLogger && entry._apiLogger.callStack) {
+      log.callStack = entry._apiLogger.callStack;
+    }
+
+    if (response.status) {
+      log.statusCode = response.status;
+    } else {
+      log.error = response._error || response.statusText || 'No response';
+    }
+
+    const postData = request.postData;
+    if (postData && (postData.params || []).some(p => p.fileName !== undefined || p._truncated)) {
+      // Formulaire multipart avec fichiers ou champ tronqué : champs et noms de fichiers seulement
+      const data = {};
+      postData.params.forEach(p => {
+        if (!data[p.name]) data[p.name] = [];
+        if (p.fileName !== undefined) {
+          data[p.name].push({ fileName: p.fileName, contentType: p.contentType || 'application/octet-stream', size: null });
+        } else {
+          data[p.name].push(p._truncated ? { value: String(p.value || ''), truncated: true } : String(p.value || ''));
+        }
+      });
+      log.requestBody = { type: 'multipart', data };
+      if (postData.params.some(p => p._truncated)) log.requestBody.truncated = true;
+    } else if (postData && postData._encoding === 'base64') {
+      log.requestBody = { type: 'binary', size: null, encoding: 'base64', data: postData.text };
+    } else if (postData) {
+      log.requestData = postData.text !== undefined
+        ? postData.text
+        : (postData.params || []).map(p => `${encodeURIComponent(p.name)}=${encodeURIComponent(p.value || '')}`).join('&');
+      const requestJSON = this.tryParseJSON(log.requestData);
+      if (requestJSON !== undefined) log.requestJSON = requestJSON;
+    }
+
+    const content = response.content || {};
+    if (typeof content.text === 'string') {
+      log.responseText = content.encoding === 'base64' ? this.decodeBase64(content.text, content.mimeType) : content.text;
+      const responseJSON = this.tryParseJSON(log.responseText);
+      if (responseJSON !== undefined) log.responseJSON = responseJSON;
+    }
+
+    return log;
+  }
+
+  fromHarHeaders(headers) {
+    const result = {};
+    (headers || []).forEach(header => {
+      const name = header.name.toLowerCase();
+      // HTTP/2 : les pseudo-en-têtes (:authority, :path...) ne sont pas des en-têtes métier
+      if (!name.startsWith(':')) result[name] = header.value;
+    });
+    return result;
+  }
+
+  decodeBase64(text, mimeType) {
+    if (!/json|text|xml|javascript/i.test(mimeType || '')) {
+      return `[Contenu binaire base64 ${text.length} caractères]`;
+    }
+    try {
+      const bytes = Uint8Array.from(atob(text), chr => chr.charCodeAt(0));
+      return new TextDecoder().decode(bytes);
+    } catch (e) {
+      return text;
+    }
+  }
+
+  tryParseJSON(text) {
+    if (typeof text !== 'string') return undefined;
+    const trimmed = text.trim();
+    if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) return undefined;
+    try {
+      return JSON.parse(trimmed);
+    } catch (e) {
+      return undefined;
+    }
+  }
+
+  headerValue(headers, name) {
+    return headers ? headers[name] : undefined;
+  }
+
+  byteLength(text) {
+    return new TextEncoder().encode(text).length;
+  }
+}
@@ -0,0 +1,93 @@
+// lib/json-diff.js - Diff structurel entre deux documents JSON
+// Chaque différence : { path, kind: 'added' | 'removed' | 'changed' | 'retyped', expected, actual }
+// Dépend de Redactor (lib/redactor.js) pour reconnaître les valeurs masquées à la capture
+class JsonDiff {
+  // ignore : noms de champs ("updatedAt") ou chemins ("items[].id", "meta.*.date")
+  constructor(options = {}) {
+    this.ignore = (options.ignore || [])
+      .map(rule => rule.trim())
+      .filter(Boolean)
+      .map(rule => this.compileRule(rule));
+  }
+
+  compileRule(rule) {
+    if (!/[.[*]/.test(rule)) {
+      return { fieldName: rule };
+    }
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    // "[]" désigne n'importe quel index, "*" n'importe quel nom de champ
+    const pattern = rule
+      .replace(/^\$\.?/, '')
+      .split('[]')
+      .map(part => part.split('*').map(escape).join('[^.\\[]+'))
+      .join('\\[\\d+\\]');
+    return { regex: new RegExp(`^${pattern}$`) };
+  }
+
+  isIgnored(path, key) {
+    return this.ignore.some(rule => (rule.fieldName ? rule.fieldName === key : rule.regex.test(path)));
+  }
+
+  compare(expected, actual) {
+    const differences = [];
+    this.walk(expected, actual, '', differences);
+    return differences;
+  }
+
+  walk(expected, actual, path, differences) {
+    // Valeur masquée à la capture : rien à comparer
+    if (expected === Redactor.MARKER) return;
+
+    const expectedType = this.typeOf(expected);
+    const actualType = this.typeOf(actual);
+
+    if (expectedType !== actualType) {
+      differences.push({ path: path || '$', kind: 'retyped', expected, actual });
+      return;
+    }
+
+    if (expectedType === 'object') {
+      const keys = [...new Set([...Object.keys(expected), ...Object.keys(actual)])];
+      keys.forEach(key => {
+        const childPath = path ? `${path}.${key}` : key;
+        if (this.isIgnored(childPath, key)) return;
+
+        if (!(key in actual)) {
+          differences.push({ path: childPath, kind: 'removed', expected: expected[key] });
+        } else if (!(key in expected)) {
+          differences.push({ path: childPath, kind: 'added', actual: actual[key] });
+        } else {
+          this.walk(expected[key], actual[key], childPath, differences);
+        }
+      });
+      return;
+    }
+
+    if (expectedType === 'array') {
+      const length = Math.max(expected.length, actual.length);
+      for (let i = 0; i < length; i++) {
+        const childPath = `${path}[${i}]`;
+        if (this.isIgnored(childPath, null)) continue;
+
+        if (i >= actual.length) {
+          differences.push({ path: childPath, kind: 'removed', expected: expected[i] });
+        } else if (i >= expected.length) {
+          differences.push({ path: childPath, kind: 'added', actual: actual[i] });
+        } else {
+          this.walk(expected[i], actual[i], childPath, differences);
+        }
+      }
+      return;
+    }
+
+    if (expected !== actual) {
+      differences.push({ path: path || '$', kind: 'changed', expected, actual });
+    }
+  }
+
+  typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+}
@@ -0,0 +1,31 @@
+// lib/log-reader.js - Lecture des logs depuis les pages de l'extension (explorateur, rejeu...)
+// getLogs est toujours paginé : les pages sont demandées l'une après l'autre au service worker.
+class LogReader {
+  // `sendMessage(message)` : envoi au service worker, résout avec sa réponse
+  constructor(sendMessage) {
+    this.sendMessage = sendMessage;
+  }
+
+  // Même taille que APILogger.LOGS_PAGE_SIZE (background.js)
+  static get PAGE_SIZE() {
+    return 500;
+  }
+
+  // Tous les logs, du plus ancien au plus récent : les logs capturés pendant la lecture
+  // s'ajoutent en fin de parcours sans décaler les pages déjà lues
+  async readAll(query = {}) {
+    const logs = [];
+    for (;;) {
+      const response = await this.sendMessage({
+        ...query,
+        action: 'getLogs',
+        direction: 'next',
+        offset: logs.length,
+        limit: LogReader.PAGE_SIZE
+      });
+      const page = (response && response.logs) || [];
+      logs.push(...page);
+      if (page.length < LogReader.PAGE_SIZE) return logs;
+    }
+  }
+}
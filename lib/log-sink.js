@@ -0,0 +1,161 @@
+// lib/log-sink.js - Envoi des logs terminés vers un collecteur HTTP (ex. http://localhost:4000/ingest)
+// La file ne contient que des ids : l'entrée envoyée est toujours la version courante du log,
+// fusion webRequest / page comprise. Les lots partent en NDJSON, une entrée par ligne.
+class LogSink {
+  constructor(options = {}) {
+    // id -> entrée courante, undefined si le log a été supprimé entre-temps
+    this.resolve = options.resolve || (() => undefined);
+    // Sauvegarde de la file, pour la retrouver après l'arrêt du service worker
+    this.persist = options.persist || (() => {});
+    this.onStatus = options.onStatus || (() => {});
+    this.fetch = options.fetch || ((url, init) => fetch(url, init));
+    // Réveil programmé (chrome.alarms) : le service worker est suspendu après ~30 s
+    // d'inactivité, ses setTimeout avec lui
+    this.wake = options.wake || (() => {});
+    this.cancelWake = options.cancelWake || (() => {});
+
+    this.settings = { ...LogSink.DEFAULTS };
+    this.queue = [];
+    this.timer = null;
+    this.sending = false;
+    this.failures = 0;
+    this.status = { state: 'disabled', queued: 0, sent: 0, dropped: 0, lastError: null, lastSuccess: null, nextRetry: null };
+  }
+
+  static get DEFAULTS() {
+    return {
+      enabled: false,
+      url: 'http://localhost:4000/ingest',
+      batchSize: 20,
+      flushIntervalMs: 2000,
+      // Délai avant envoi : laisse le temps à l'autre source de compléter l'entrée, y compris
+      // quand la capture page attend la résolution de sa pile d'appel (jusqu'à 5 s)
+      settleMs: 7000,
+      maxQueue: 5000
+    };
+  }
+
+  static get MAX_BACKOFF_MS() {
+    return 60000;
+  }
+
+  static get ALARM_NAME() {
+    return 'log-sink-flush';
+  }
+
+  // Délai minimal d'une alarme Chrome
+  static get MIN_WAKE_MS() {
+    return 30000;
+  }
+
+  configure(settings = {}) {
+    this.settings = { ...LogSink.DEFAULTS, ...settings };
+    this.settings.batchSize = Math.max(1, parseInt(this.settings.batchSize, 10) || LogSink.DEFAULTS.batchSize);
+    // Réglage enregistré par une version précédente : jamais en dessous du délai par défaut
+    this.settings.settleMs = Math.max(LogSink.DEFAULTS.settleMs, this.settings.settleMs || 0);
+    this.failures = 0;
+    this.updateStatus({ state: this.settings.enabled ? 'idle' : 'disabled', lastError: null, nextRetry: null });
+    this.schedule(0);
+  }
+
+  restore(queue = []) {
+    this.queue = queue;
+    this.updateStatus({});
+    this.schedule(0);
+  }
+
+  // `replacedId` : entrée fusionnée dans celle-ci, à ne plus envoyer séparément
+  enqueue(id, replacedId) {
+    if (!this.settings.enabled) return;
+
+    const existing = this.queue.find(item => item.id === id || (replacedId && item.id === replacedId));
+    if (existing) {
+      // Nouvelle version : si l'ancienne est en cours d'envoi, celle-ci repartira au lot suivant
+      existing.id = id;
+      existing.queuedAt = Date.now();
+      existing.version = (existing.version || 0) + 1;
+    } else {
+      this.queue.push({ id, queuedAt: Date.now(), version: 0 });
+    }
+
+    // File pleine (collecteur injoignable depuis longtemps) : les plus anciens sont abandonnés
+    if (this.queue.length > this.settings.maxQueue) {
+      const dropped = this.queue.splice(0, this.queue.length - this.settings.maxQueue);
+      this.status.dropped += dropped.length;
+    }
+
+    this.persist(this.queue);
+    this.updateStatus({});
+    if (!this.timer) this.schedule(this.settings.flushIntervalMs);
+  }
+
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.settings.enabled || this.queue.length === 0) {
+      this.cancelWake();
+      return;
+    }
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush();
+    }, delay);
+    this.wake(Date.now() + Math.max(delay, LogSink.MIN_WAKE_MS));
+  }
+
+  async flush() {
+    if (!this.settings.enabled || this.sending || this.queue.length === 0) return;
+
+    const limit = Date.now() - this.settings.settleMs;
+    // Copie : enqueue peut modifier un élément de la file pendant l'envoi
+    const batch = this.queue
+      .filter(item => item.queuedAt <= limit)
+      .slice(0, this.settings.batchSize)
+      .map(item => ({ ...item }));
+    if (batch.length === 0) {
+      this.schedule(this.settings.flushIntervalMs);
+      return;
+    }
+
+    this.sending = true;
+    this.updateStatus({ state: 'sending' });
+
+    try {
+      const entries = (await Promise.all(batch.map(item => this.resolve(item.id)))).filter(Boolean);
+      if (entries.length > 0) {
+        const response = await this.fetch(this.settings.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/x-ndjson' },
+          body: entries.map(entry => JSON.stringify(entry)).join('\n') + '\n'
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      }
+
+      // Seules les versions envoyées quittent la file
+      const sent = new Map(batch.map(item => [item.id, item.version]));
+      this.queue = this.queue.filter(item => !sent.has(item.id) || sent.get(item.id) !== item.version);
+      this.persist(this.queue);
+      this.failures = 0;
+      this.status.sent += entries.length;
+      this.updateStatus({ state: 'idle', lastError: null, lastSuccess: new Date().toISOString(), nextRetry: null });
+      this.sending = false;
+      this.schedule(this.queue.length >= this.settings.batchSize ? 0 : this.settings.flushIntervalMs);
+    } catch (error) {
+      // Collecteur arrêté ou injoignable : la file est conservée, nouvel essai avec un délai croissant
+      this.failures++;
+      const delay = Math.min(this.settings.flushIntervalMs * Math.pow(2, this.failures), LogSink.MAX_BACKOFF_MS);
+      this.updateStatus({
+        state: 'offline',
+        lastError: error.message,
+        nextRetry: new Date(Date.now() + delay).toISOString()
+      });
+      this.sending = false;
+      this.schedule(delay);
+    }
+  }
+
+  updateStatus(changes) {
+    this.status = { ...this.status, ...changes, queued: this.queue.length };
+    this.onStatus(this.status);
+  }
+}
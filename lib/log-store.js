@@ -0,0 +1,209 @@
+// lib/log-store.js - Stockage persistant des logs dans IndexedDB
+// Contrairement à chrome.storage.local, pas de limite fixe : une longue session
+// de recette est conservée en entier, et survit aux arrêts du service worker.
+class LogStore {
+  constructor(dbName = 'api-logger') {
+    this.dbName = dbName;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 3);
+
+        request.onupgradeneeded = (event) => {
+          const db = request.result;
+          if (event.oldVersion < 1) {
+            const logs = db.createObjectStore('logs', { keyPath: 'id' });
+            logs.createIndex('timestamp', 'timestamp');
+            // Requêtes webRequest en cours, en attente de leur réponse
+            db.createObjectStore('pending', { keyPath: 'requestId' });
+          }
+          if (event.oldVersion < 2) {
+            // Sessions de capture nommées (un scénario utilisateur chacune)
+            db.createObjectStore('sessions', { keyPath: 'id' });
+          }
+          if (event.oldVersion < 3) {
+            // Logs d'une session lus sans parcourir toute la base
+            request.transaction.objectStore('logs').createIndex('sessionId', 'sessionId');
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  // Exécuter `callback(store)` dans une transaction ; résout avec le résultat
+  // de la requête IndexedDB renvoyée par le callback, une fois la transaction terminée
+  async run(storeName, mode, callback) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = callback(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  get(id) {
+    return this.run('logs', 'readonly', store => store.get(id));
+  }
+
+  put(log) {
+    return this.run('logs', 'readwrite', store => store.put(log));
+  }
+
+  putMany(logs) {
+    return this.run('logs', 'readwrite', store => {
+      logs.forEach(log => store.put(log));
+    });
+  }
+
+  delete(id) {
+    return this.run('logs', 'readwrite', store => store.delete(id));
+  }
+
+  deleteMany(ids) {
+    return this.run('logs', 'readwrite', store => {
+      ids.forEach(id => store.delete(id));
+    });
+  }
+
+  getAll() {
+    return this.run('logs', 'readonly', store => store.index('timestamp').getAll());
+  }
+
+  count() {
+    return this.run('logs', 'readonly', store => store.count());
+  }
+
+  // Logs des sessions demandées, par date ; vide = tous
+  async getBySessions(sessionIds) {
+    if (!sessionIds || sessionIds.length === 0) return this.getAll();
+    const groups = await Promise.all(sessionIds.map(sessionId =>
+      this.run('logs', 'readonly', store => store.index('sessionId').getAll(sessionId))));
+    return groups.flat().sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  }
+
+  getKeysBySession(sessionId) {
+    return this.run('logs', 'readonly', store => store.index('sessionId').getAllKeys(sessionId));
+  }
+
+  countBySession(sessionId) {
+    return this.run('logs', 'readonly', store => store.index('sessionId').count(sessionId));
+  }
+
+  // Logs rattachés à une session (les autres n'apparaissent pas dans l'index)
+  countWithSession() {
+    return this.run('logs', 'readonly', store => store.index('sessionId').count());
+  }
+
+  // Parcours par date sans tout charger en mémoire. En 'readwrite', l'entrée
+  // retournée par `callback` remplace le log courant
+  async iterate(callback, mode = 'readonly') {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction('logs', mode);
+      const request = transaction.objectStore('logs').index('timestamp').openCursor();
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        const updated = callback(cursor.value);
+        if (mode === 'readwrite' && updated) cursor.update(updated);
+        cursor.continue();
+      };
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  async countWhere(filter) {
+    let count = 0;
+    await this.iterate(log => {
+      if (filter(log)) count++;
+    });
+    return count;
+  }
+
+  clear() {
+    return this.run('logs', 'readwrite', store => store.clear());
+  }
+
+  // Lecture paginée par date ; direction 'prev' = les plus récents d'abord.
+  // Avec `filter`, l'offset compte les seuls logs retenus
+  async getPage(offset = 0, limit = 50, direction = 'prev', filter = null) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const results = [];
+      const request = db.transaction('logs', 'readonly')
+        .objectStore('logs')
+        .index('timestamp')
+        .openCursor(null, direction);
+      let skipped = offset === 0;
+      let matched = 0;
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(results);
+          return;
+        }
+        if (filter) {
+          if (!filter(cursor.value) || matched++ < offset) {
+            cursor.continue();
+            return;
+          }
+        } else if (!skipped) {
+          skipped = true;
+          cursor.advance(offset);
+          return;
+        }
+        results.push(cursor.value);
+        if (results.length < limit) {
+          cursor.continue();
+        } else {
+          resolve(results);
+        }
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  putPending(entry) {
+    return this.run('pending', 'readwrite', store => store.put(entry));
+  }
+
+  deletePending(requestId) {
+    return this.run('pending', 'readwrite', store => store.delete(requestId));
+  }
+
+  getAllPending() {
+    return this.run('pending', 'readonly', store => store.getAll());
+  }
+
+  clearPending() {
+    return this.run('pending', 'readwrite', store => store.clear());
+  }
+
+  putSession(session) {
+    return this.run('sessions', 'readwrite', store => store.put(session));
+  }
+
+  deleteSession(id) {
+    return this.run('sessions', 'readwrite', store => store.delete(id));
+  }
+
+  getAllSessions() {
+    return this.run('sessions', 'readonly', store => store.getAll());
+  }
+
+  clearSessions() {
+    return this.run('sessions', 'readwrite', store => store.clear());
+  }
+}
@@ -0,0 +1,307 @@
+// lib/mock-generator.js - Génération d'un backend mock à partir d'une session enregistrée
+// Deux cibles : un HttpInterceptor Angular, ou un serveur Node autonome + fixtures.
+// Le matching est configurable à l'exécution : corps exact ou quelconque, première
+// réponse ou round-robin entre les réponses enregistrées.
+class MockBackendGenerator {
+  constructor(options = {}) {
+    this.defaults = {
+      bodyMatching: options.bodyMatching === 'exact' ? 'exact' : 'any',
+      responseMode: options.responseMode === 'round-robin' ? 'round-robin' : 'first'
+    };
+  }
+
+  // Retourne la liste des fichiers à écrire : [{ name, content }]
+  generate(logs, target = 'angular') {
+    const fixtures = this.buildFixtures(logs);
+    const header = `// Généré par API Logger le ${new Date().toISOString()} à partir de ${logs.length} appels capturés\n`;
+
+    if (target === 'node') {
+      return [
+        { name: 'mock-server/fixtures.json', content: JSON.stringify(fixtures, null, 2) + '\n' },
+        { name: 'mock-server/server.js', content: header + this.renderNodeServer() }
+      ];
+    }
+
+    return [
+      { name: 'mock-backend/mock-backend.config.ts', content: header + '\n' + this.renderAngularConfig() },
+      {
+        name: 'mock-backend/mock-fixtures.ts',
+        content: header + '\n' + `import { MockFixture } from './mock-backend.config';\n\n` +
+          `export const MOCK_FIXTURES: MockFixture[] = ${JSON.stringify(fixtures, null, 2)};\n`
+      },
+      { name: 'mock-backend/mock-backend.interceptor.ts', content: header + '\n' + this.renderAngularInterceptor() },
+      { name: 'mock-backend/mock-backend.module.ts', content: header + '\n' + this.renderAngularModule() }
+    ];
+  }
+
+  // Une fixture par réponse distincte observée. Les routes les plus littérales d'abord
+  // (/users/me avant /users/{id}), puis l'ordre de capture : le mock retient la première qui correspond.
+  buildFixtures(logs) {
+    const seen = new Set();
+    const fixtures = [];
+
+    logs.forEach(log => {
+      if (!log.method || !log.routeTemplate || !log.statusCode) return;
+
+      const fixture = {
+        method: log.method,
+        routeTemplate: log.routeTemplate,
+        pattern: this.templateToPattern(log.routeTemplate),
+        example: log.path,
+        requestBody: log.requestJSON !== undefined ? log.requestJSON : (log.requestData || null),
+        status: log.statusCode,
+        statusText: log.statusText || '',
+        headers: this.mockHeaders(log.responseHeaders),
+        body: log.responseJSON !== undefined ? log.responseJSON : (log.responseText || null)
+      };
+
+      const key = JSON.stringify([fixture.method, fixture.routeTemplate, fixture.requestBody, fixture.status, fixture.body]);
+      if (!seen.has(key)) {
+        seen.add(key);
+        fixtures.push(fixture);
+      }
+    });
+
+    const params = fixture => (fixture.routeTemplate.match(/\{/g) || []).length;
+    return fixtures.sort((a, b) => params(a) - params(b));
+  }
+
+  // /api/users/{id} -> ^/api/users/[^/]+/?$
+  templateToPattern(routeTemplate) {
+    const pattern = routeTemplate.split('/').map(segment => {
+      if (/^\{\w+\}$/.test(segment)) return '[^/]+';
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }).join('/');
+    return `^${pattern}/?$`;
+  }
+
+  // Seul le type de contenu est rejoué : les autres en-têtes dépendent du serveur d'origine
+  mockHeaders(headers) {
+    const contentType = headers && headers['content-type'];
+    return contentType ? { 'content-type': contentType } : {};
+  }
+
+  renderAngularConfig() {
+    return `import { InjectionToken } from '@angular/core';
+
+export interface MockFixture {
+  method: string;
+  routeTemplate: string;
+  pattern: string;
+  example?: string;
+  requestBody: unknown;
+  status: number;
+  statusText: string;
+  headers: Record<string, string>;
+  body: unknown;
+}
+
+export interface MockBackendConfig {
+  /** 'exact' : le corps de la requête doit être identique à celui enregistré ; 'any' : corps ignoré */
+  bodyMatching: 'exact' | 'any';
+  /** 'first' : toujours la première réponse enregistrée ; 'round-robin' : les réponses à tour de rôle */
+  responseMode: 'first' | 'round-robin';
+}
+
+export const DEFAULT_MOCK_BACKEND_CONFIG: MockBackendConfig = {
+  bodyMatching: '${this.defaults.bodyMatching}',
+  responseMode: '${this.defaults.responseMode}'
+};
+
+export const MOCK_BACKEND_CONFIG = new InjectionToken<Partial<MockBackendConfig>>('MOCK_BACKEND_CONFIG');
+`;
+  }
+
+  renderAngularInterceptor() {
+    return `import { Inject, Injectable, Optional } from '@angular/core';
+import {
+  HttpErrorResponse, HttpEvent, HttpHandler, HttpHeaders, HttpInterceptor, HttpRequest, HttpResponse
+} from '@angular/common/http';
+import { Observable, of, throwError } from 'rxjs';
+
+import { DEFAULT_MOCK_BACKEND_CONFIG, MOCK_BACKEND_CONFIG, MockBackendConfig, MockFixture } from './mock-backend.config';
+import { MOCK_FIXTURES } from './mock-fixtures';
+
+/** Rejoue les réponses enregistrées ; les requêtes sans fixture partent vers le vrai backend */
+@Injectable()
+export class MockBackendInterceptor implements HttpInterceptor {
+  private readonly config: MockBackendConfig;
+  private readonly counters = new Map<string, number>();
+
+  constructor(@Optional() @Inject(MOCK_BACKEND_CONFIG) config: Partial<MockBackendConfig> | null) {
+    this.config = { ...DEFAULT_MOCK_BACKEND_CONFIG, ...(config || {}) };
+  }
+
+  intercept(req: HttpRequest<unknown>, next: HttpHandler): Observable<HttpEvent<unknown>> {
+    const path = new URL(req.url, 'http://localhost').pathname;
+    let candidates = MOCK_FIXTURES.filter(fixture =>
+      fixture.method === req.method && new RegExp(fixture.pattern).test(path));
+
+    if (this.config.bodyMatching === 'exact') {
+      const body = canonical(req.body);
+      candidates = candidates.filter(fixture => canonical(fixture.requestBody) === body);
+    }
+
+    if (candidates.length === 0) {
+      return next.handle(req);
+    }
+    // Fixtures triées route la plus littérale d'abord : seules ses réponses sont candidates
+    const route = candidates[0].routeTemplate;
+    candidates = candidates.filter(fixture => fixture.routeTemplate === route);
+
+    const fixture = this.pick(candidates);
+    const headers = new HttpHeaders(fixture.headers);
+
+    if (fixture.status >= 400) {
+      return throwError(() => new HttpErrorResponse({
+        status: fixture.status, statusText: fixture.statusText, error: fixture.body, headers, url: req.url
+      }));
+    }
+
+    return of(new HttpResponse({
+      status: fixture.status, statusText: fixture.statusText, body: fixture.body, headers, url: req.url
+    }));
+  }
+
+  private pick(candidates: MockFixture[]): MockFixture {
+    if (this.config.responseMode === 'first') {
+      return candidates[0];
+    }
+    const key = candidates[0].method + ' ' + candidates[0].routeTemplate;
+    const index = this.counters.get(key) || 0;
+    this.counters.set(key, index + 1);
+    return candidates[index % candidates.length];
+  }
+}
+
+/** JSON aux clés triées, pour comparer des corps indépendamment de l'ordre des propriétés */
+function canonical(value: unknown): string {
+  if (value === undefined || value === '') {
+    value = null;
+  }
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch {
+      return value as string;
+    }
+  }
+  return JSON.stringify(value, (key, val) =>
+    val && typeof val === 'object' && !Array.isArray(val)
+      ? Object.keys(val).sort().reduce((acc: Record<string, unknown>, k) => { acc[k] = val[k]; return acc; }, {})
+      : val);
+}
+`;
+  }
+
+  renderAngularModule() {
+    return `import { ModuleWithProviders, NgModule } from '@angular/core';
+import { HTTP_INTERCEPTORS } from '@angular/common/http';
+
+import { MOCK_BACKEND_CONFIG, MockBackendConfig } from './mock-backend.config';
+import { MockBackendInterceptor } from './mock-backend.interceptor';
+
+/**
+ * À importer à la place du vrai backend, ex. dans un environnement "mock" :
+ * MockBackendModule.forRoot({ bodyMatching: 'any', responseMode: 'round-robin' })
+ */
+@NgModule({
+  providers: [{ provide: HTTP_INTERCEPTORS, useClass: MockBackendInterceptor, multi: true }]
+})
+export class MockBackendModule {
+  static forRoot(config: Partial<MockBackendConfig> = {}): ModuleWithProviders<MockBackendModule> {
+    return {
+      ngModule: MockBackendModule,
+      providers: [{ provide: MOCK_BACKEND_CONFIG, useValue: config }]
+    };
+  }
+}
+`;
+  }
+
+  renderNodeServer() {
+    return `// Serveur mock autonome (aucune dépendance) :
+//   PORT=3000 BODY_MATCHING=any|exact RESPONSE_MODE=first|round-robin node server.js
+'use strict';
+
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+
+const fixtures = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures.json'), 'utf8'));
+const config = {
+  port: Number(process.env.PORT) || 3000,
+  bodyMatching: process.env.BODY_MATCHING || '${this.defaults.bodyMatching}',
+  responseMode: process.env.RESPONSE_MODE || '${this.defaults.responseMode}'
+};
+const counters = new Map();
+
+// JSON aux clés triées, pour comparer des corps indépendamment de l'ordre des propriétés
+function canonical(value) {
+  if (value === undefined || value === '') {
+    value = null;
+  }
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (e) {
+      return value;
+    }
+  }
+  return JSON.stringify(value, (key, val) =>
+    val && typeof val === 'object' && !Array.isArray(val)
+      ? Object.keys(val).sort().reduce((acc, k) => { acc[k] = val[k]; return acc; }, {})
+      : val);
+}
+
+function pick(candidates) {
+  if (config.responseMode === 'first') return candidates[0];
+  const key = candidates[0].method + ' ' + candidates[0].routeTemplate;
+  const index = counters.get(key) || 0;
+  counters.set(key, index + 1);
+  return candidates[index % candidates.length];
+}
+
+function send(res, status, headers, body) {
+  res.writeHead(status, {
+    'access-control-allow-origin': '*',
+    'access-control-allow-headers': '*',
+    'access-control-allow-methods': 'GET, POST, PUT, PATCH, DELETE, HEAD, OPTIONS',
+    ...headers
+  });
+  res.end(body === null || body === undefined ? '' : (typeof body === 'string' ? body : JSON.stringify(body)));
+}
+
+http.createServer((req, res) => {
+  let rawBody = '';
+  req.on('data', chunk => { rawBody += chunk; });
+  req.on('end', () => {
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+    let candidates = fixtures.filter(fixture =>
+      fixture.method === req.method && new RegExp(fixture.pattern).test(pathname));
+
+    if (config.bodyMatching === 'exact') {
+      const body = canonical(rawBody);
+      candidates = candidates.filter(fixture => canonical(fixture.requestBody) === body);
+    }
+
+    if (candidates.length === 0) {
+      if (req.method === 'OPTIONS') return send(res, 204, {}, null);
+      console.log('[mock] ' + req.method + ' ' + req.url + ' -> aucune fixture');
+      return send(res, 404, { 'content-type': 'application/json' }, { error: 'Aucune fixture pour ' + req.method + ' ' + pathname });
+    }
+    // Fixtures triées route la plus littérale d'abord : seules ses réponses sont candidates
+    const route = candidates[0].routeTemplate;
+    candidates = candidates.filter(fixture => fixture.routeTemplate === route);
+
+    const fixture = pick(candidates);
+    console.log('[mock] ' + req.method + ' ' + req.url + ' -> ' + fixture.status + ' (' + fixture.routeTemplate + ')');
+    send(res, fixture.status, fixture.headers, fixture.body);
+  });
+}).listen(config.port, () => {
+  console.log('Mock API sur http://localhost:' + config.port + ' (' + fixtures.length + ' fixtures, ' +
+    'body=' + config.bodyMatching + ', réponses=' + config.responseMode + ')');
+});
+`;
+  }
+}
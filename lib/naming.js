@@ -0,0 +1,51 @@
+// lib/naming.js - Conventions de nommage pour le code généré (TypeScript, Angular)
+class Naming {
+  // "user_roles", "userRoles", "user-roles" -> ['user', 'roles']
+  static words(text) {
+    return String(text)
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .split(/[^A-Za-z0-9]+/)
+      .filter(Boolean)
+      .map(word => word.toLowerCase());
+  }
+
+  static pascalCase(text) {
+    const result = Naming.words(text).map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+    // Un identifiant TypeScript ne peut pas commencer par un chiffre
+    return /^\d/.test(result) ? '_' + result : result;
+  }
+
+  static camelCase(text) {
+    const pascal = Naming.pascalCase(text);
+    return pascal.charAt(0).toLowerCase() + pascal.slice(1);
+  }
+
+  static kebabCase(text) {
+    return Naming.words(text).join('-');
+  }
+
+  // Singulier approximatif de noms anglais : users -> user, categories -> category
+  static singular(word) {
+    if (/ies$/i.test(word)) return word.slice(0, -3) + (/IES$/.test(word) ? 'Y' : 'y');
+    if (/(ss|us|is)$/i.test(word)) return word;
+    if (/(sh|ch|x|z)es$/i.test(word)) return word.slice(0, -2);
+    if (/s$/i.test(word)) return word.slice(0, -1);
+    return word;
+  }
+
+  // Segments statiques significatifs d'un template : /api/v1/users/{id}/roles -> ['users', 'roles']
+  static resourceSegments(routeTemplate) {
+    return (routeTemplate || '')
+      .split('/')
+      .filter(segment => segment && !segment.startsWith('{') && !/^(api|rest|v\d+)$/i.test(segment));
+  }
+
+  // Ressource principale d'un endpoint, utilisée pour regrouper les fichiers
+  static resourceOf(routeTemplate) {
+    return Naming.resourceSegments(routeTemplate)[0] || 'root';
+  }
+
+  static isIdentifier(name) {
+    return /^[A-Za-z_$][\w$]*$/.test(name);
+  }
+}
@@ -0,0 +1,313 @@
+// lib/openapi-generator.js - Génération d'une spécification OpenAPI 3 depuis les logs
+// Dépend de SchemaInferrer (lib/schema-inferrer.js) et EndpointNormalizer (lib/endpoint-normalizer.js)
+class OpenAPIGenerator {
+  constructor(options = {}) {
+    this.title = options.title || 'API capturée (migration AngularJS)';
+    this.schemaInferrer = new SchemaInferrer();
+    this.normalizer = options.normalizer || new EndpointNormalizer();
+  }
+
+  generate(logs) {
+    const apiLogs = logs.filter(log => this.isApiCall(log));
+    const groups = this.groupLogs(apiLogs);
+    const origins = [...new Set(apiLogs.map(log => new URL(log.url).origin))];
+
+    const spec = {
+      openapi: '3.0.3',
+      info: {
+        title: this.title,
+        version: '1.0.0',
+        description: `Généré par API Logger à partir de ${apiLogs.length} appels capturés le ${new Date().toISOString()}`
+      },
+      servers: origins.map(url => ({ url })),
+      paths: {}
+    };
+
+    const operationIds = new Set();
+    groups.forEach(group => {
+      spec.paths[group.path] = spec.paths[group.path] || {};
+      spec.paths[group.path][group.method.toLowerCase()] = this.buildOperation(group, operationIds);
+    });
+
+    return spec;
+  }
+
+  // Les ressources statiques vues uniquement par webRequest (images, scripts...) sont ignorées
+  isApiCall(log) {
+    if (!log.url || !/^https?:/.test(log.url) || !log.method) return false;
+    if (log.captureMethod === 'webRequest') {
+      return ['xmlhttprequest', 'fetch'].includes(log.resourceType);
+    }
+    return true;
+  }
+
+  groupLogs(logs) {
+    const groups = new Map();
+
+    logs.forEach(log => {
+      const route = log.routeTemplate ? log : this.normalizer.normalize(log.url);
+      const path = route.routeTemplate;
+      const key = `${log.method} ${path}`;
+      if (!groups.has(key)) {
+        groups.set(key, { method: log.method, path, pathParamNames: Object.keys(route.pathParams || {}), samples: [] });
+      }
+      groups.get(key).samples.push({ log, pathParams: route.pathParams || {} });
+    });
+
+    return [...groups.values()].sort((a, b) => a.path.localeCompare(b.path) || a.method.localeCompare(b.method));
+  }
+
+  buildOperation(group, operationIds) {
+    const operation = {
+      operationId: this.uniqueOperationId(group, operationIds),
+      summary: `${group.method} ${group.path}`,
+      tags: [this.tagFor(group.path)],
+      parameters: [...this.pathParameters(group), ...this.queryParameters(group)]
+    };
+
+    if (operation.parameters.length === 0) delete operation.parameters;
+
+    const requestBody = this.requestBody(group);
+    if (requestBody) operation.requestBody = requestBody;
+
+    operation.responses = this.responses(group);
+
+    // Écrans AngularJS appelants : aide à planifier la migration écran par écran
+    const screens = [...new Set(group.samples
+      .map(({ log }) => log.angularContext && log.angularContext.screen)
+      .filter(Boolean))].sort();
+    if (screens.length > 0) operation['x-angular-screens'] = screens;
+
+    // Code appelant (fichier:ligne, résolu par source map quand c'est possible)
+    const callSites = [...new Set(group.samples
+      .filter(({ log }) => log.callStack && log.callStack.length > 0)
+      .map(({ log }) => SourceMapResolver.formatFrame(log.callStack[0])))].sort();
+    if (callSites.length > 0) operation['x-call-sites'] = callSites;
+
+    return operation;
+  }
+
+  pathParameters(group) {
+    return group.pathParamNames.map(name => ({
+      name,
+      in: 'path',
+      required: true,
+      schema: this.toOpenAPISchema(this.schemaInferrer.inferFromSamples(
+        group.samples.map(({ pathParams }) => this.coerceValue(pathParams[name]))
+      ))
+    }));
+  }
+
+  queryParameters(group) {
+    const values = new Map();
+    group.samples.forEach(({ log }) => {
+      new URL(log.url).searchParams.forEach((value, name) => {
+        if (!values.has(name)) values.set(name, { samples: [], count: 0 });
+        values.get(name).samples.push(this.coerceValue(value));
+      });
+      // Compter une seule fois par appel pour déterminer le caractère obligatoire
+      new Set(new URL(log.url).searchParams.keys()).forEach(name => values.get(name).count++);
+    });
+
+    return [...values.entries()].map(([name, { samples, count }]) => ({
+      name,
+      in: 'query',
+      required: count === group.samples.length,
+      schema: this.toOpenAPISchema(this.schemaInferrer.inferFromSamples(samples))
+    }));
+  }
+
+  requestBody(group) {
+    const jsonSamples = group.samples
+      .map(({ log }) => log.requestJSON)
+      .filter(body => body !== undefined);
+    if (jsonSamples.length > 0) {
+      return {
+        required: jsonSamples.length === group.samples.length,
+        content: {
+          'application/json': {
+            schema: this.toOpenAPISchema(this.schemaInferrer.inferFromSamples(jsonSamples)),
+            example: jsonSamples[jsonSamples.length - 1]
+          }
+        }
+      };
+    }
+
+    const formSamples = group.samples
+      .map(({ log }) => log.requestBody && log.requestBody.type === 'formData' ? log.requestBody.data : undefined)
+      .filter(body => body !== undefined);
+    if (formSamples.length > 0) {
+      return {
+        content: {
+          'application/x-www-form-urlencoded': {
+            schema: this.toOpenAPISchema(this.schemaInferrer.inferFromSamples(
+              formSamples.map(data => this.flattenFormData(data))
+            ))
+          }
+        }
+      };
+    }
+
+    const multipartSamples = group.samples
+      .map(({ log }) => log.requestBody && log.requestBody.type === 'multipart' ? log.requestBody.data : undefined)
+      .filter(body => body !== undefined && body !== null);
+    if (multipartSamples.length > 0) {
+      // Fichiers ({ fileName, contentType, size }) : inférés comme texte puis typés en binaire ;
+      // champ tronqué ({ value, truncated }) : sa valeur partielle suffit à l'inférence
+      const fileFields = new Set();
+      const samples = multipartSamples.map(data => {
+        const fields = {};
+        Object.keys(data).forEach(name => {
+          fields[name] = [].concat(data[name]).map(value => {
+            if (value === null || typeof value !== 'object') return value;
+            if (value.fileName === undefined) return value.value;
+            fileFields.add(name);
+            return '';
+          });
+        });
+        return this.flattenFormData(fields);
+      });
+
+      const schema = this.toOpenAPISchema(this.schemaInferrer.inferFromSamples(samples));
+      fileFields.forEach(name => {
+        const property = schema.properties && schema.properties[name];
+        if (!property) return;
+        if (property.type === 'array') property.items = { type: 'string', format: 'binary' };
+        else schema.properties[name] = { type: 'string', format: 'binary' };
+      });
+      return { content: { 'multipart/form-data': { schema } } };
+    }
+
+    return null;
+  }
+
+  responses(group) {
+    const byStatus = new Map();
+    group.samples.forEach(({ log }) => {
+      if (!log.statusCode) return;
+      if (!byStatus.has(log.statusCode)) byStatus.set(log.statusCode, []);
+      byStatus.get(log.statusCode).push(log);
+    });
+
+    const responses = {};
+    [...byStatus.keys()].sort().forEach(status => {
+      const logs = byStatus.get(status);
+      const response = { description: this.statusDescription(status, logs) };
+      const jsonSamples = logs.map(log => log.responseJSON).filter(body => body !== undefined);
+
+      if (jsonSamples.length > 0) {
+        response.content = {
+          [this.jsonMediaType(logs)]: {
+            schema: this.toOpenAPISchema(this.schemaInferrer.inferFromSamples(jsonSamples))
+          }
+        };
+      } else {
+        const mediaType = this.mediaType(logs[0]);
+        if (mediaType && status !== 204) response.content = { [mediaType]: {} };
+      }
+
+      responses[String(status)] = response;
+    });
+
+    if (Object.keys(responses).length === 0) {
+      responses.default = { description: 'Aucune réponse capturée' };
+    }
+
+    return responses;
+  }
+
+  // Conversion du schéma inféré vers le dialecte OpenAPI 3.0 (nullable, oneOf)
+  toOpenAPISchema(schema) {
+    if (!schema) return {};
+
+    const types = this.schemaInferrer.types(schema);
+    const nonNullTypes = types.filter(type => type !== 'null');
+    const nullable = types.includes('null');
+
+    if (nonNullTypes.length === 0) {
+      return { nullable: true };
+    }
+
+    if (nonNullTypes.length > 1) {
+      const result = {
+        oneOf: nonNullTypes.map(type => this.toOpenAPISchema({ ...schema, type }))
+      };
+      if (nullable) result.nullable = true;
+      return result;
+    }
+
+    const type = nonNullTypes[0];
+    const result = { type };
+    if (nullable) result.nullable = true;
+    if (type === 'string' && schema.format) result.format = schema.format;
+
+    if (type === 'object') {
+      result.properties = {};
+      Object.keys(schema.properties || {}).forEach(key => {
+        result.properties[key] = this.toOpenAPISchema(schema.properties[key]);
+      });
+      if (schema.required && schema.required.length > 0) result.required = schema.required;
+    }
+
+    if (type === 'array') {
+      result.items = this.toOpenAPISchema(schema.items);
+    }
+
+    return result;
+  }
+
+  // Les valeurs de chemin et de query sont des chaînes : on retrouve leur type probable.
+  // Comme dans AngularServiceGenerator.scalarType, un nombre doit se relire à l'identique : "007" reste une chaîne
+  coerceValue(value) {
+    if (/^-?\d+(\.\d+)?$/.test(value) && String(Number(value)) !== value) return value;
+    if (/^-?\d+$/.test(value) && value.length < 16) return parseInt(value, 10);
+    if (/^-?\d+\.\d+$/.test(value)) return parseFloat(value);
+    if (value === 'true' || value === 'false') return value === 'true';
+    return value;
+  }
+
+  flattenFormData(data) {
+    const result = {};
+    Object.keys(data).forEach(key => {
+      const values = data[key];
+      result[key] = Array.isArray(values) && values.length === 1 ? values[0] : values;
+    });
+    return result;
+  }
+
+  mediaType(log) {
+    const contentType = log.responseHeaders && log.responseHeaders['content-type'];
+    return contentType ? contentType.split(';')[0].trim() : null;
+  }
+
+  jsonMediaType(logs) {
+    const mediaType = this.mediaType(logs[0]);
+    return mediaType && /json/.test(mediaType) ? mediaType : 'application/json';
+  }
+
+  statusDescription(status, logs) {
+    const statusText = logs.map(log => log.statusText).find(text => text);
+    return statusText || `Réponse ${status}`;
+  }
+
+  // Premier segment significatif du chemin : /api/v1/users/{id} -> users
+  tagFor(path) {
+    const segment = path.split('/').find(part => part && !part.startsWith('{') && !/^(api|rest|v\d+)$/i.test(part));
+    return segment || 'default';
+  }
+
+  uniqueOperationId(group, operationIds) {
+    const words = group.path.split('/').filter(Boolean).map(part => {
+      const name = part.startsWith('{') ? 'by-' + part.slice(1, -1) : part;
+      return name.replace(/[^A-Za-z0-9]+(.)?/g, (match, chr) => (chr ? chr.toUpperCase() : ''));
+    });
+    const base = group.method.toLowerCase() + words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+    let operationId = base;
+    let suffix = 2;
+    while (operationIds.has(operationId)) {
+      operationId = base + suffix++;
+    }
+    operationIds.add(operationId);
+    return operationId;
+  }
+}
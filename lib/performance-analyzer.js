@@ -0,0 +1,219 @@
+// lib/performance-analyzer.js - Statistiques de performance par endpoint et appels superflus
+// Détecte les requêtes identiques répétées, les séquences N+1 (liste puis un GET par élément)
+// et les appels enchaînés qui pourraient partir en parallèle
+class PerformanceAnalyzer {
+  constructor(options = {}) {
+    this.duplicateWindowMs = options.duplicateWindowMs || 1000;
+    this.nPlusOneThreshold = options.nPlusOneThreshold || 5;
+    this.nPlusOneWindowMs = options.nPlusOneWindowMs || 3000;
+    this.sequentialGapMs = options.sequentialGapMs || 50;
+    this.sequentialMinLength = options.sequentialMinLength || 3;
+  }
+
+  analyze(logs) {
+    const calls = this.calls(logs);
+    return {
+      endpoints: this.endpointStats(calls),
+      findings: [
+        ...this.detectDuplicates(calls),
+        ...this.detectNPlusOne(calls),
+        ...this.detectSequential(calls)
+      ]
+    };
+  }
+
+  // Appels HTTP triés par début, avec leurs bornes en millisecondes
+  calls(logs) {
+    return logs
+      .filter(log => log.method && log.url)
+      .map(log => {
+        const start = new Date(log.timestamp).getTime();
+        return { log, start, end: start + (log.duration || 0), endpoint: this.endpointOf(log) };
+      })
+      .sort((a, b) => a.start - b.start);
+  }
+
+  endpointOf(log) {
+    return `${log.method} ${log.routeTemplate || log.url}`;
+  }
+
+  endpointStats(calls) {
+    const endpoints = new Map();
+    calls.forEach(call => {
+      if (!endpoints.has(call.endpoint)) endpoints.set(call.endpoint, []);
+      endpoints.get(call.endpoint).push(call.log);
+    });
+
+    return [...endpoints.entries()]
+      .map(([endpoint, logs]) => {
+        const durations = logs.map(log => log.duration).filter(d => d !== undefined).sort((a, b) => a - b);
+        const sizes = logs.map(log => this.payloadSize(log)).filter(size => size !== undefined);
+        const errors = logs.filter(log => log.error || (log.statusCode && log.statusCode >= 400)).length;
+        return {
+          endpoint,
+          method: logs[0].method,
+          routeTemplate: logs[0].routeTemplate,
+          count: logs.length,
+          p50: this.percentile(durations, 50),
+          p90: this.percentile(durations, 90),
+          p99: this.percentile(durations, 99),
+          maxDuration: durations.length ? durations[durations.length - 1] : undefined,
+          errorRate: Math.round((errors / logs.length) * 1000) / 10,
+          avgSize: sizes.length ? Math.round(sizes.reduce((sum, size) => sum + size, 0) / sizes.length) : undefined,
+          maxSize: sizes.length ? Math.max(...sizes) : undefined
+        };
+      })
+      .sort((a, b) => b.count - a.count);
+  }
+
+  // Rang le plus proche : p99 sur 10 valeurs = la plus lente
+  percentile(sorted, p) {
+    if (sorted.length === 0) return undefined;
+    return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+  }
+
+  // Taille de la réponse en octets : Content-Length, sinon corps capturé
+  payloadSize(log) {
+    const header = log.responseHeaders && log.responseHeaders['content-length'];
+    if (header !== undefined && !isNaN(parseInt(header, 10))) return parseInt(header, 10);
+    if (typeof log.responseText === 'string') return new TextEncoder().encode(log.responseText).length;
+    if (log.responseJSON !== undefined) return new TextEncoder().encode(JSON.stringify(log.responseJSON)).length;
+    return undefined;
+  }
+
+  // Même méthode, même URL, même corps, relancée avant la fin de la fenêtre
+  detectDuplicates(calls) {
+    const findings = [];
+    const bursts = new Map();
+
+    calls.forEach(call => {
+      const key = `${call.log.tabId} ${call.log.method} ${call.log.url} ${this.bodyOf(call.log)}`;
+      const burst = bursts.get(key);
+      if (burst && call.start - burst.last <= this.duplicateWindowMs) {
+        burst.logIds.push(call.log.id);
+        burst.last = call.start;
+        return;
+      }
+      if (burst && burst.logIds.length > 1) findings.push(this.duplicateFinding(burst));
+      bursts.set(key, { call, last: call.start, logIds: [call.log.id] });
+    });
+
+    bursts.forEach(burst => {
+      if (burst.logIds.length > 1) findings.push(this.duplicateFinding(burst));
+    });
+    return findings.sort((a, b) => a.at.localeCompare(b.at));
+  }
+
+  duplicateFinding(burst) {
+    return {
+      kind: 'duplicate',
+      endpoint: `${burst.call.log.method} ${burst.call.log.url}`,
+      count: burst.logIds.length,
+      at: burst.call.log.timestamp,
+      logIds: burst.logIds,
+      message: `${burst.logIds.length} requetes identiques en ${burst.last - burst.call.start} ms`
+    };
+  }
+
+  bodyOf(log) {
+    if (typeof log.requestData === 'string') return log.requestData;
+    if (log.requestJSON !== undefined) return JSON.stringify(log.requestJSON);
+    return log.requestBody ? JSON.stringify(log.requestBody.data) : '';
+  }
+
+  // GET /items suivi de nombreux GET /items/{id} juste après sa réponse
+  detectNPlusOne(calls) {
+    const findings = [];
+    const used = new Set();
+
+    calls.forEach((listCall, index) => {
+      const list = listCall.log;
+      if (list.method !== 'GET' || !list.routeTemplate || /\}$/.test(list.routeTemplate)) return;
+
+      const itemRoute = new RegExp(`^${list.routeTemplate.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}/\\{[^}/]+\\}$`);
+      const items = calls.slice(index + 1).filter(call =>
+        !used.has(call) &&
+        call.log.method === 'GET' &&
+        call.log.tabId === list.tabId &&
+        call.start >= listCall.end &&
+        call.start - listCall.end <= this.nPlusOneWindowMs &&
+        itemRoute.test(call.log.routeTemplate || ''));
+
+      if (items.length < this.nPlusOneThreshold) return;
+      items.forEach(call => used.add(call));
+      findings.push({
+        kind: 'n-plus-one',
+        endpoint: `GET ${items[0].log.routeTemplate}`,
+        count: items.length,
+        at: list.timestamp,
+        logIds: [list.id, ...items.map(call => call.log.id)],
+        message: `GET ${list.routeTemplate} suivi de ${items.length} appels GET ${items[0].log.routeTemplate}`
+      });
+    });
+
+    return findings;
+  }
+
+  // GET enchaînés sans chevauchement : chacun part dès que le précédent a répondu
+  detectSequential(calls) {
+    const findings = [];
+    const byTab = new Map();
+    calls
+      .filter(call => call.log.method === 'GET' && call.log.duration !== undefined)
+      .forEach(call => {
+        if (!byTab.has(call.log.tabId)) byTab.set(call.log.tabId, []);
+        byTab.get(call.log.tabId).push(call);
+      });
+
+    byTab.forEach(tabCalls => {
+      let chain = [];
+      const flush = () => {
+        if (chain.length >= this.sequentialMinLength) findings.push(this.sequentialFinding(chain));
+        chain = [];
+      };
+
+      tabCalls.forEach(call => {
+        const previous = chain[chain.length - 1];
+        if (previous && (call.start < previous.end || call.start - previous.end > this.sequentialGapMs)) {
+          flush();
+        }
+        chain.push(call);
+      });
+      flush();
+    });
+
+    return findings.sort((a, b) => a.at.localeCompare(b.at));
+  }
+
+  sequentialFinding(chain) {
+    const total = chain[chain.length - 1].end - chain[0].start;
+    const longest = Math.max(...chain.map(call => call.log.duration));
+    return {
+      kind: 'sequential',
+      endpoint: [...new Set(chain.map(call => call.endpoint))].join(', '),
+      count: chain.length,
+      at: chain[0].log.timestamp,
+      logIds: chain.map(call => call.log.id),
+      message: `${chain.length} appels en sequence sur ${total} ms (environ ${longest} ms en parallele)`
+    };
+  }
+
+  // Positions relatives au premier appel, pour la frise chronologique
+  waterfall(logs) {
+    const calls = this.calls(logs);
+    if (calls.length === 0) return { duration: 0, rows: [] };
+
+    const origin = calls[0].start;
+    return {
+      duration: Math.max(...calls.map(call => call.end)) - origin,
+      rows: calls.map(call => ({
+        id: call.log.id,
+        label: call.endpoint,
+        offset: call.start - origin,
+        duration: call.log.duration || 0,
+        statusCode: call.log.statusCode,
+        error: call.log.error
+      }))
+    };
+  }
+}
@@ -0,0 +1,211 @@
+// lib/redactor.js - Masquage des secrets et données personnelles avant stockage/export
+// Règles utilisateur (une par ligne) :
+//   - chemin JSON : $.user.email, $.items[*].iban
+//   - sinon expression régulière sur les noms d'en-têtes et de clés : ^x-session-id$, email
+class Redactor {
+  constructor(rules = []) {
+    this.setRules(rules);
+  }
+
+  // Marqueur qui remplace la valeur : l'export montre qu'une valeur était présente
+  static get MARKER() {
+    return '[REDACTED]';
+  }
+
+  static get DEFAULT_HEADER_PATTERNS() {
+    return [/^authorization$/i, /^proxy-authorization$/i, /^cookie$/i, /^set-cookie$/i,
+      /^x-(api|auth)-(key|token)$/i, /^x-(xsrf|csrf)-token$/i];
+  }
+
+  static get DEFAULT_KEY_PATTERNS() {
+    return [/pass(word|wd)/i, /^pwd$/i, /token$/i, /secret/i, /^api[-_]?key$/i, /^authorization$/i];
+  }
+
+  setRules(rules) {
+    this.rules = rules;
+    this.pathRules = [];
+    this.namePatterns = [];
+
+    rules.map(rule => rule.trim()).filter(Boolean).forEach(rule => {
+      if (rule.startsWith('$')) {
+        this.pathRules.push(this.parsePath(rule));
+        return;
+      }
+      try {
+        this.namePatterns.push(new RegExp(rule, 'i'));
+      } catch (e) {
+        // Expression invalide : on la traite comme un nom littéral
+        this.namePatterns.push(new RegExp(`^${rule.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i'));
+      }
+    });
+  }
+
+  // $.items[*].iban -> ['items', '*', 'iban']
+  parsePath(rule) {
+    return rule
+      .replace(/^\$\.?/, '')
+      .replace(/\[(\*|\d*)\]/g, (match, index) => `.${index || '*'}`)
+      .split('.')
+      .filter(Boolean);
+  }
+
+  isSensitiveHeader(name) {
+    return Redactor.DEFAULT_HEADER_PATTERNS.some(pattern => pattern.test(name)) ||
+      this.namePatterns.some(pattern => pattern.test(name));
+  }
+
+  isSensitiveKey(key) {
+    return Redactor.DEFAULT_KEY_PATTERNS.some(pattern => pattern.test(key)) ||
+      this.namePatterns.some(pattern => pattern.test(key));
+  }
+
+  redactLog(log) {
+    const result = { ...log };
+
+    if (log.url) result.url = this.redactUrl(log.url);
+    if (log.queryParams) result.queryParams = this.redactObjectKeys(log.queryParams);
+    if (log.requestHeaders) result.requestHeaders = this.redactHeaders(log.requestHeaders);
+    if (log.responseHeaders) result.responseHeaders = this.redactHeaders(log.responseHeaders);
+    if (log.requestJSON !== undefined) result.requestJSON = this.redactJSON(log.requestJSON);
+    if (log.responseJSON !== undefined) result.responseJSON = this.redactJSON(log.responseJSON);
+    if (typeof log.requestData === 'string') result.requestData = this.redactText(log.requestData);
+    if (typeof log.responseText === 'string') result.responseText = this.redactText(log.responseText);
+    if (log.angularContext) result.angularContext = this.redactAngularContext(log.angularContext);
+    if (log.requestBody && log.requestBody.data !== undefined) {
+      result.requestBody = {
+        ...log.requestBody,
+        data: typeof log.requestBody.data === 'string'
+          ? this.redactText(log.requestBody.data)
+          : this.redactJSON(log.requestBody.data)
+      };
+    }
+
+    return result;
+  }
+
+  // Paramètres d'état et config $http relevés par injected.js
+  redactAngularContext(context) {
+    const result = { ...context };
+    if (context.stateParams) result.stateParams = this.redactJSON(context.stateParams);
+    if (context.routeParams) result.routeParams = this.redactJSON(context.routeParams);
+    if (context.httpConfig) {
+      result.httpConfig = { ...context.httpConfig };
+      if (context.httpConfig.headers) result.httpConfig.headers = this.redactHeaders(this.flattenHeaders(context.httpConfig.headers));
+      if (context.httpConfig.params) result.httpConfig.params = this.redactJSON(context.httpConfig.params);
+    }
+    return result;
+  }
+
+  // Les en-têtes $http peuvent être groupés par méthode ({ common: {...}, get: {...} })
+  flattenHeaders(headers) {
+    const result = {};
+    Object.keys(headers).forEach(name => {
+      if (headers[name] !== null && typeof headers[name] === 'object') {
+        Object.assign(result, this.flattenHeaders(headers[name]));
+      } else {
+        result[name] = headers[name];
+      }
+    });
+    return result;
+  }
+
+  redactHeaders(headers) {
+    // Anciennes entrées : tableau [{ name, value }] de webRequest
+    if (Array.isArray(headers)) {
+      return headers.map(header => (this.isSensitiveHeader(header.name)
+        ? { ...header, value: Redactor.MARKER }
+        : header));
+    }
+
+    const result = {};
+    Object.keys(headers).forEach(name => {
+      result[name] = this.isSensitiveHeader(name) ? Redactor.MARKER : headers[name];
+    });
+    return result;
+  }
+
+  redactObjectKeys(object) {
+    const result = {};
+    Object.keys(object).forEach(key => {
+      result[key] = this.isSensitiveKey(key) ? Redactor.MARKER : object[key];
+    });
+    return result;
+  }
+
+  redactJSON(value) {
+    let result = this.redactKeys(value);
+    this.pathRules.forEach(path => {
+      result = this.redactPath(result, path);
+    });
+    return result;
+  }
+
+  redactKeys(value) {
+    if (Array.isArray(value)) return value.map(item => this.redactKeys(item));
+    if (value === null || typeof value !== 'object') return value;
+
+    const result = {};
+    Object.keys(value).forEach(key => {
+      result[key] = this.isSensitiveKey(key) && value[key] !== null
+        ? Redactor.MARKER
+        : this.redactKeys(value[key]);
+    });
+    return result;
+  }
+
+  redactPath(value, path) {
+    if (path.length === 0) return value === undefined ? value : Redactor.MARKER;
+    if (value === null || typeof value !== 'object') return value;
+
+    const [head, ...rest] = path;
+    const copy = Array.isArray(value) ? [...value] : { ...value };
+    const keys = head === '*' ? Object.keys(copy) : [head];
+
+    keys.forEach(key => {
+      if (key in copy) copy[key] = this.redactPath(copy[key], rest);
+    });
+    return copy;
+  }
+
+  // Corps texte : JSON ou formulaire urlencoded, les autres formats sont conservés
+  redactText(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      try {
+        return JSON.stringify(this.redactJSON(JSON.parse(trimmed)));
+      } catch (e) {
+        return text;
+      }
+    }
+
+    if (/^[^=&\s]+=[^&\s]*(&[^=&\s]+=[^&\s]*)*$/.test(trimmed)) {
+      const params = new URLSearchParams(trimmed);
+      let changed = false;
+      [...params.keys()].forEach(key => {
+        if (this.isSensitiveKey(key)) {
+          params.set(key, Redactor.MARKER);
+          changed = true;
+        }
+      });
+      return changed ? params.toString() : text;
+    }
+
+    return text;
+  }
+
+  redactUrl(url) {
+    try {
+      const parsed = new URL(url);
+      let changed = false;
+      [...parsed.searchParams.keys()].forEach(key => {
+        if (this.isSensitiveKey(key)) {
+          parsed.searchParams.set(key, Redactor.MARKER);
+          changed = true;
+        }
+      });
+      return changed ? parsed.href : url;
+    } catch (e) {
+      return url;
+    }
+  }
+}
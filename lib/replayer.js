@@ -0,0 +1,188 @@
+// lib/replayer.js - Rejeu des requêtes capturées vers un autre environnement
+// Dépend de JsonDiff (lib/json-diff.js) et Redactor (lib/redactor.js)
+class RequestReplayer {
+  constructor(options = {}) {
+    // URL de base cible : https://recette.exemple.com ou http://localhost:8080/backend
+    this.targetBase = (options.targetBase || '').trim();
+    this.includeCredentials = options.includeCredentials !== false;
+    this.timeoutMs = options.timeoutMs || 30000;
+    this.diff = new JsonDiff({ ignore: options.ignoreFields || [] });
+  }
+
+  // En-têtes que fetch refuse ou qui n'ont pas de sens vers un autre hôte
+  static get SKIPPED_HEADERS() {
+    return ['host', 'content-length', 'cookie', 'origin', 'referer', 'connection',
+      'accept-encoding', 'keep-alive', 'transfer-encoding', 'te', 'trailer', 'upgrade'];
+  }
+
+  rewriteUrl(url) {
+    if (!this.targetBase) return url;
+    const original = new URL(url);
+    const target = new URL(this.targetBase);
+    const basePath = target.pathname.replace(/\/$/, '');
+    return target.origin + basePath + original.pathname + original.search;
+  }
+
+  buildHeaders(log) {
+    const headers = {};
+    Object.keys(log.requestHeaders || {}).forEach(name => {
+      const lowerName = name.toLowerCase();
+      if (RequestReplayer.SKIPPED_HEADERS.includes(lowerName) ||
+          lowerName.startsWith('sec-') || lowerName.startsWith('proxy-')) {
+        return;
+      }
+      // Valeur masquée à la capture (Authorization...) : la session vient de credentials: 'include'
+      if (log.requestHeaders[name] === Redactor.MARKER) return;
+      headers[name] = log.requestHeaders[name];
+    });
+    return headers;
+  }
+
+  buildBody(log) {
+    if (log.method === 'GET' || log.method === 'HEAD') return undefined;
+    if (typeof log.requestData === 'string') return this.withoutRedactedText(log.requestData);
+    if (log.requestJSON !== undefined) return JSON.stringify(this.withoutRedacted(log.requestJSON));
+    return undefined;
+  }
+
+  // Champs masqués à la capture retirés du corps rejoué plutôt qu'envoyés tels quels
+  withoutRedacted(value) {
+    if (Array.isArray(value)) {
+      return value.filter(item => item !== Redactor.MARKER).map(item => this.withoutRedacted(item));
+    }
+    if (value === null || typeof value !== 'object') return value;
+
+    const result = {};
+    Object.keys(value).forEach(key => {
+      if (value[key] !== Redactor.MARKER) result[key] = this.withoutRedacted(value[key]);
+    });
+    return result;
+  }
+
+  // Corps texte : JSON ou formulaire urlencoded, les mêmes formats que Redactor.redactText
+  withoutRedactedText(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      try {
+        return text.includes(Redactor.MARKER) ? JSON.stringify(this.withoutRedacted(JSON.parse(trimmed))) : text;
+      } catch (e) {
+        return text;
+      }
+    }
+
+    if (/^[^=&\s]+=[^&\s]*(&[^=&\s]+=[^&\s]*)*$/.test(trimmed)) {
+      const params = new URLSearchParams(trimmed);
+      const kept = new URLSearchParams();
+      params.forEach((value, name) => {
+        if (value !== Redactor.MARKER) kept.append(name, value);
+      });
+      return [...kept.keys()].length < [...params.keys()].length ? kept.toString() : text;
+    }
+
+    return text;
+  }
+
+  async replayAll(logs, onResult) {
+    const results = [];
+    // Séquentiel : l'ordre des appels compte pour les scénarios (création puis lecture...)
+    for (const log of logs) {
+      const result = await this.replay(log);
+      results.push(result);
+      if (onResult) onResult(result);
+    }
+    return results;
+  }
+
+  async replay(log) {
+    const result = {
+      id: log.id,
+      method: log.method,
+      routeTemplate: log.routeTemplate,
+      originalUrl: log.url,
+      url: this.rewriteUrl(log.url),
+      expectedStatus: log.statusCode,
+      differences: []
+    };
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.timeoutMs);
+    const startTime = Date.now();
+
+    try {
+      const response = await fetch(result.url, {
+        method: log.method,
+        headers: this.buildHeaders(log),
+        body: this.buildBody(log),
+        credentials: this.includeCredentials ? 'include' : 'omit',
+        signal: controller.signal
+      });
+      const text = await response.text();
+
+      result.actualStatus = response.status;
+      result.duration = Date.now() - startTime;
+      result.differences = this.compareResponses(log, response.status, text);
+      result.status = result.differences.length === 0 ? 'identical' : 'changed';
+    } catch (error) {
+      result.duration = Date.now() - startTime;
+      result.status = 'failed';
+      result.error = error.name === 'AbortError' ? `Timeout après ${this.timeoutMs} ms` : error.message;
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    return result;
+  }
+
+  compareResponses(log, actualStatus, actualText) {
+    const differences = [];
+
+    if (log.statusCode && log.statusCode !== actualStatus) {
+      differences.push({ path: 'status', kind: 'changed', expected: log.statusCode, actual: actualStatus });
+    }
+
+    if (log.responseJSON !== undefined) {
+      let actualJSON;
+      try {
+        actualJSON = JSON.parse(actualText);
+      } catch (e) {
+        differences.push({ path: '$', kind: 'retyped', expected: 'JSON', actual: 'contenu non JSON' });
+        return differences;
+      }
+      differences.push(...this.diff.compare(log.responseJSON, actualJSON));
+    } else if (typeof log.responseText === 'string' && log.responseText !== actualText) {
+      differences.push({ path: '$', kind: 'changed', expected: '(texte enregistré)', actual: '(texte différent)' });
+    }
+
+    return differences;
+  }
+
+  toMarkdown(results) {
+    const count = status => results.filter(result => result.status === status).length;
+    const lines = [
+      '# Rapport de rejeu API Logger',
+      '',
+      `- Date : ${new Date().toISOString()}`,
+      `- Cible : ${this.targetBase || '(URLs d\'origine)'}`,
+      `- Requêtes rejouées : ${results.length}`,
+      `- Identiques : ${count('identical')} | Modifiées : ${count('changed')} | En échec : ${count('failed')}`,
+      '',
+      '| Résultat | Méthode | URL | Statut attendu | Statut obtenu | Différences |',
+      '|---|---|---|---|---|---|'
+    ];
+
+    results.forEach(result => {
+      lines.push(`| ${result.status} | ${result.method} | ${result.url} | ${result.expectedStatus || ''} | ` +
+        `${result.actualStatus || ''} | ${result.error || result.differences.length} |`);
+    });
+
+    results.filter(result => result.differences.length > 0).forEach(result => {
+      lines.push('', `## ${result.method} ${result.url}`, '');
+      result.differences.forEach(difference => {
+        lines.push(`- \`${difference.path}\` ${difference.kind} : ` +
+          `${JSON.stringify(difference.expected)} -> ${JSON.stringify(difference.actual)}`);
+      });
+    });
+
+    return lines.join('\n') + '\n';
+  }
+}
@@ -0,0 +1,105 @@
+// lib/request-snippets.js - Copie d'une requête capturée en commande cURL ou en code fetch
+class RequestSnippets {
+  // En-têtes recalculés par curl / le navigateur
+  static get SKIPPED_HEADERS() {
+    return ['host', 'content-length', 'connection'];
+  }
+
+  headers(log) {
+    const headers = {};
+    // Le séparateur multipart d'origine ne vaut plus : l'outil cible génère le sien
+    const skipped = this.formFields(log) ? [...RequestSnippets.SKIPPED_HEADERS, 'content-type'] : RequestSnippets.SKIPPED_HEADERS;
+    Object.keys(log.requestHeaders || {}).forEach(name => {
+      if (!skipped.includes(name.toLowerCase())) {
+        headers[name] = log.requestHeaders[name];
+      }
+    });
+    return headers;
+  }
+
+  // Corps texte : page (requestData / requestJSON) puis webRequest (requestBody)
+  body(log) {
+    if (typeof log.requestData === 'string') return log.requestData;
+    if (log.requestJSON !== undefined && log.requestJSON !== null) return JSON.stringify(log.requestJSON);
+
+    const requestBody = log.requestBody;
+    if (!requestBody || requestBody.data === undefined || requestBody.data === null) return undefined;
+    // Fichiers absents et binaire en base64 : pas de corps texte équivalent (multipart : voir formFields)
+    if (requestBody.type === 'multipart' || requestBody.type === 'binary') return undefined;
+    if (requestBody.type === 'formData') {
+      const params = new URLSearchParams();
+      Object.keys(requestBody.data).forEach(key => {
+        [].concat(requestBody.data[key]).forEach(value => params.append(key, value));
+      });
+      return params.toString();
+    }
+    return typeof requestBody.data === 'string' ? requestBody.data : JSON.stringify(requestBody.data);
+  }
+
+  // Champs d'un corps multipart : [{ name, value, truncated? }] ou [{ name, fileName, contentType }] ; null sinon
+  formFields(log) {
+    const requestBody = log.requestBody;
+    if (typeof log.requestData === 'string' || !requestBody || requestBody.type !== 'multipart' || !requestBody.data) return null;
+
+    const fields = [];
+    Object.keys(requestBody.data).forEach(name => {
+      [].concat(requestBody.data[name]).forEach(value => {
+        if (value !== null && typeof value === 'object' && value.fileName !== undefined) {
+          fields.push({ name, fileName: value.fileName, contentType: value.contentType });
+        } else if (value !== null && typeof value === 'object') {
+          fields.push({ name, value: String(value.value), truncated: !!value.truncated });
+        } else {
+          fields.push({ name, value: String(value) });
+        }
+      });
+    });
+    return fields;
+  }
+
+  toCurl(log) {
+    const lines = [`curl ${this.shellQuote(log.url)}`];
+    if (log.method && log.method !== 'GET') {
+      lines.push(`-X ${log.method}`);
+    }
+
+    const headers = this.headers(log);
+    const fields = this.formFields(log);
+    Object.keys(headers).forEach(name => {
+      lines.push(`-H ${this.shellQuote(`${name}: ${headers[name]}`)}`);
+    });
+
+    const body = this.body(log);
+    if (body !== undefined) {
+      lines.push(`--data-raw ${this.shellQuote(body)}`);
+    }
+    (fields || []).forEach(field => {
+      lines.push(field.fileName !== undefined
+        ? `-F ${this.shellQuote(`${field.name}=@${field.fileName}${field.contentType ? `;type=${field.contentType}` : ''}`)}`
+        : `--form-string ${this.shellQuote(`${field.name}=${field.value}`)}`);
+    });
+    if (Object.keys(headers).some(name => name.toLowerCase() === 'accept-encoding')) {
+      lines.push('--compressed');
+    }
+
+    // Valeur incomplète rejouée telle quelle : le signaler au-dessus de la commande
+    const truncated = (fields || []).filter(field => field.truncated)
+      .map(field => `# Champ ${JSON.stringify(field.name)} tronque a la capture : valeur incomplete\n`);
+
+    return truncated.join('') + lines.join(' \\\n  ');
+  }
+
+  toFetch(log) {
+    const init = { method: log.method || 'GET' };
+    const headers = this.headers(log);
+    if (Object.keys(headers).length > 0) init.headers = headers;
+
+    const body = this.body(log);
+    if (body !== undefined) init.body = body;
+
+    return `fetch(${JSON.stringify(log.url)}, ${JSON.stringify(init, null, 2)});`;
+  }
+
+  shellQuote(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+  }
+}
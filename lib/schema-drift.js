@@ -0,0 +1,291 @@
+// lib/schema-drift.js - Dérive des schémas de réponse entre deux captures
+// Un instantané associe à chaque endpoint ("GET /api/users/{id}") et code de statut
+// le schéma inféré de ses réponses JSON ; deux instantanés sont ensuite comparés champ par champ
+// Dépend de SchemaInferrer (lib/schema-inferrer.js)
+class SchemaDriftDetector {
+  constructor(options = {}) {
+    this.inferrer = options.inferrer || new SchemaInferrer();
+  }
+
+  static get SNAPSHOT_FORMAT() {
+    return 'api-logger-schema-snapshot';
+  }
+
+  static get KIND_LABELS() {
+    return { added: 'Ajouté', removed: 'Supprimé', retyped: 'Type modifié', nullability: 'Nullabilité' };
+  }
+
+  snapshot(logs, name = '') {
+    const samples = new Map();
+    logs
+      .filter(log => log.method && log.statusCode && log.responseJSON !== undefined)
+      .forEach(log => {
+        const endpoint = `${log.method} ${log.routeTemplate || log.path || new URL(log.url).pathname}`;
+        if (!samples.has(endpoint)) samples.set(endpoint, new Map());
+        const byStatus = samples.get(endpoint);
+        if (!byStatus.has(log.statusCode)) byStatus.set(log.statusCode, []);
+        byStatus.get(log.statusCode).push(log.responseJSON);
+      });
+
+    const endpoints = {};
+    [...samples.keys()].sort().forEach(endpoint => {
+      endpoints[endpoint] = {};
+      samples.get(endpoint).forEach((values, status) => {
+        endpoints[endpoint][status] = this.inferrer.inferFromSamples(values);
+      });
+    });
+
+    return {
+      format: SchemaDriftDetector.SNAPSHOT_FORMAT,
+      name,
+      generatedAt: new Date().toISOString(),
+      endpoints
+    };
+  }
+
+  // Référence importée : instantané exporté par cette page, ou spécification OpenAPI 3 JSON
+  parseBaseline(text, name = '') {
+    const data = JSON.parse(text);
+    if (data.format === SchemaDriftDetector.SNAPSHOT_FORMAT) {
+      return { ...data, name: name || data.name };
+    }
+    if (data.openapi && data.paths) {
+      return this.fromOpenAPI(data, name);
+    }
+    throw new Error('Reference non reconnue (instantane de schemas ou OpenAPI 3 JSON attendu)');
+  }
+
+  fromOpenAPI(spec, name) {
+    // Les chemins des logs sont complets : le chemin de servers[0] (/api/v1) est préfixé
+    const server = spec.servers && spec.servers[0] && spec.servers[0].url;
+    const basePath = server ? new URL(server, 'http://localhost').pathname.replace(/\/$/, '') : '';
+    const endpoints = {};
+    Object.keys(spec.paths).forEach(path => {
+      Object.keys(spec.paths[path] || {}).forEach(method => {
+        const responses = (spec.paths[path][method] || {}).responses || {};
+        Object.keys(responses).filter(status => /^\d{3}$/.test(status)).forEach(status => {
+          const content = responses[status].content || {};
+          const mediaType = Object.keys(content).find(type => /json/.test(type));
+          if (!mediaType || !content[mediaType].schema) return;
+
+          const endpoint = `${method.toUpperCase()} ${basePath}${path}`;
+          endpoints[endpoint] = endpoints[endpoint] || {};
+          endpoints[endpoint][status] = this.fromOpenAPISchema(content[mediaType].schema, spec);
+        });
+      });
+    });
+
+    return {
+      format: SchemaDriftDetector.SNAPSHOT_FORMAT,
+      name: name || (spec.info && spec.info.title) || 'OpenAPI',
+      generatedAt: new Date().toISOString(),
+      endpoints
+    };
+  }
+
+  // Schéma OpenAPI (nullable, oneOf, $ref locaux) -> schéma au format de SchemaInferrer
+  fromOpenAPISchema(schema, spec, depth = 0) {
+    if (!schema || depth > 20) return {};
+
+    if (schema.$ref) {
+      const target = schema.$ref.replace(/^#\//, '').split('/')
+        .reduce((node, key) => (node ? node[key] : undefined), spec);
+      return this.fromOpenAPISchema(target, spec, depth + 1);
+    }
+
+    const variants = schema.oneOf || schema.anyOf;
+    if (variants) {
+      const merged = variants
+        .map(variant => this.fromOpenAPISchema(variant, spec, depth + 1))
+        .reduce((acc, variant) => this.inferrer.merge(acc, variant), undefined) || {};
+      return schema.nullable ? this.inferrer.merge(merged, { type: 'null' }) : merged;
+    }
+
+    const types = [...(Array.isArray(schema.type) ? schema.type : (schema.type ? [schema.type] : []))];
+    if (schema.nullable && !types.includes('null')) types.push('null');
+
+    const result = {};
+    if (types.length > 0) result.type = types.length === 1 ? types[0] : types;
+    if (schema.format) result.format = schema.format;
+    if (schema.properties) {
+      result.properties = {};
+      Object.keys(schema.properties).forEach(key => {
+        result.properties[key] = this.fromOpenAPISchema(schema.properties[key], spec, depth + 1);
+      });
+      result.required = schema.required || [];
+    }
+    if (schema.items) result.items = this.fromOpenAPISchema(schema.items, spec, depth + 1);
+    return result;
+  }
+
+  compare(baseline, current) {
+    const endpoints = [];
+    const totals = { compared: 0, changed: 0, added: 0, removed: 0, retyped: 0, nullability: 0 };
+
+    Object.keys(current.endpoints).sort().forEach(endpoint => {
+      const before = baseline.endpoints[endpoint];
+      if (!before) return;
+
+      Object.keys(current.endpoints[endpoint]).forEach(status => {
+        if (!before[status]) return;
+        totals.compared++;
+
+        const changes = this.diff(before[status], current.endpoints[endpoint][status], '$');
+        if (changes.length === 0) return;
+
+        totals.changed++;
+        changes.forEach(change => { totals[change.kind]++; });
+        endpoints.push({ endpoint, status, changes });
+      });
+    });
+
+    return {
+      generatedAt: new Date().toISOString(),
+      baselineName: baseline.name,
+      currentName: current.name,
+      totals,
+      endpoints,
+      // Endpoints présents d'un seul côté : nouveaux, ou simplement non appelés pendant la capture
+      newEndpoints: Object.keys(current.endpoints).filter(endpoint => !baseline.endpoints[endpoint]).sort(),
+      missingEndpoints: Object.keys(baseline.endpoints).filter(endpoint => !current.endpoints[endpoint]).sort()
+    };
+  }
+
+  // -> [{ kind: 'added'|'removed'|'retyped'|'nullability', path, before, after }]
+  diff(before, after, path) {
+    const changes = [];
+    const beforeTypes = this.valueTypes(before);
+    const afterTypes = this.valueTypes(after);
+
+    // Un côté sans valeur non nulle observée ne permet pas de conclure sur le type
+    if (beforeTypes.length > 0 && afterTypes.length > 0 && beforeTypes.join('|') !== afterTypes.join('|')) {
+      changes.push({ kind: 'retyped', path, before: beforeTypes.join(' | '), after: afterTypes.join(' | ') });
+    }
+
+    const beforeNullable = this.inferrer.isNullable(before);
+    const afterNullable = this.inferrer.isNullable(after);
+    if (beforeNullable !== afterNullable) {
+      changes.push({
+        kind: 'nullability',
+        path,
+        before: beforeNullable ? 'nullable' : 'non nullable',
+        after: afterNullable ? 'nullable' : 'non nullable'
+      });
+    }
+
+    if (before.properties && after.properties) {
+      const keys = [...new Set([...Object.keys(before.properties), ...Object.keys(after.properties)])].sort();
+      keys.forEach(key => {
+        const childPath = `${path}.${key}`;
+        if (!(key in before.properties)) {
+          changes.push({ kind: 'added', path: childPath, after: this.describe(after.properties[key]) });
+        } else if (!(key in after.properties)) {
+          changes.push({ kind: 'removed', path: childPath, before: this.describe(before.properties[key]) });
+        } else {
+          changes.push(...this.diff(before.properties[key], after.properties[key], childPath));
+        }
+      });
+    }
+
+    if (before.items && after.items) {
+      changes.push(...this.diff(before.items, after.items, `${path}[]`));
+    }
+
+    return changes;
+  }
+
+  // Types hors null ; integer et number sont confondus (un décimal peut tomber juste)
+  valueTypes(schema) {
+    return [...new Set(this.inferrer.types(schema)
+      .filter(type => type !== 'null')
+      .map(type => (type === 'integer' ? 'number' : type)))].sort();
+  }
+
+  describe(schema) {
+    const types = this.inferrer.types(schema || {});
+    return types.length > 0 ? types.join(' | ') : 'inconnu';
+  }
+
+  formatChange(change) {
+    if (change.kind === 'added') return change.after;
+    if (change.kind === 'removed') return change.before;
+    return `${change.before} -> ${change.after}`;
+  }
+
+  toMarkdown(report) {
+    const { totals } = report;
+    const labels = SchemaDriftDetector.KIND_LABELS;
+    const lines = [
+      '# Dérive des schémas de réponse',
+      '',
+      `- Date : ${report.generatedAt}`,
+      `- Référence : ${report.baselineName || '-'}`,
+      `- Capture comparée : ${report.currentName || '-'}`,
+      `- Réponses comparées : ${totals.compared}, dont ${totals.changed} modifiées`,
+      `- Champs ajoutés : ${totals.added} | supprimés : ${totals.removed} | retypés : ${totals.retyped} | nullabilité : ${totals.nullability}`,
+      ''
+    ];
+
+    report.endpoints.forEach(({ endpoint, status, changes }) => {
+      lines.push(`## ${endpoint} (${status})`, '', '| Changement | Champ | Détail |', '|---|---|---|');
+      changes.forEach(change => {
+        lines.push(`| ${labels[change.kind]} | \`${change.path}\` | ${this.formatChange(change)} |`);
+      });
+      lines.push('');
+    });
+
+    lines.push('## Nouveaux endpoints', '');
+    report.newEndpoints.forEach(endpoint => lines.push(`- ${endpoint}`));
+    lines.push('', '## Endpoints absents de la capture', '');
+    report.missingEndpoints.forEach(endpoint => lines.push(`- ${endpoint}`));
+
+    return lines.join('\n') + '\n';
+  }
+
+  toHtml(report) {
+    const { totals } = report;
+    const labels = SchemaDriftDetector.KIND_LABELS;
+    const list = items => (items.length === 0
+      ? '<p>Aucun</p>'
+      : `<ul>${items.map(item => `<li>${this.escapeHtml(item)}</li>`).join('')}</ul>`);
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<title>Dérive des schémas de réponse</title>
+<style>
+  body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; padding: 20px; color: #333; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; margin-bottom: 20px; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eee; }
+  th { background-color: #f8f9fa; }
+  code { font-size: 12px; }
+</style>
+</head>
+<body>
+<h1>Dérive des schémas de réponse</h1>
+<p>Date : ${this.escapeHtml(report.generatedAt)}<br>Référence : ${this.escapeHtml(report.baselineName || '-')}<br>
+Capture comparée : ${this.escapeHtml(report.currentName || '-')}</p>
+<p><strong>${totals.changed} / ${totals.compared} réponses modifiées</strong> :
+${totals.added} champs ajoutés, ${totals.removed} supprimés, ${totals.retyped} retypés, ${totals.nullability} changements de nullabilité.</p>
+${report.endpoints.map(({ endpoint, status, changes }) => `<h2>${this.escapeHtml(endpoint)} (${this.escapeHtml(status)})</h2>
+<table><tr><th>Changement</th><th>Champ</th><th>Détail</th></tr>${changes
+    .map(change => `<tr><td>${labels[change.kind]}</td><td><code>${this.escapeHtml(change.path)}</code></td><td>${this.escapeHtml(this.formatChange(change))}</td></tr>`)
+    .join('')}</table>`).join('\n')}
+<h2>Nouveaux endpoints</h2>
+${list(report.newEndpoints)}
+<h2>Endpoints absents de la capture</h2>
+${list(report.missingEndpoints)}
+</body>
+</html>
+`;
+  }
+
+  escapeHtml(text) {
+    return String(text === undefined || text === null ? '' : text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
@@ -0,0 +1,101 @@
+// lib/schema-inferrer.js - Inférence de JSON Schema à partir d'échantillons
+// Un schéma a la forme { type, properties, required, items, format } où `type`
+// est une chaîne ou un tableau de types quand les échantillons divergent.
+class SchemaInferrer {
+  // Schéma fusionné de tous les échantillons (undefined = aucun échantillon)
+  inferFromSamples(samples) {
+    return samples.reduce((schema, sample) => this.merge(schema, this.infer(sample)), undefined);
+  }
+
+  infer(value) {
+    if (value === null || value === undefined) return { type: 'null' };
+
+    if (Array.isArray(value)) {
+      const schema = { type: 'array' };
+      const items = this.inferFromSamples(value);
+      if (items) schema.items = items;
+      return schema;
+    }
+
+    switch (typeof value) {
+      case 'object': {
+        const properties = {};
+        Object.keys(value).forEach(key => {
+          properties[key] = this.infer(value[key]);
+        });
+        return { type: 'object', properties, required: Object.keys(value) };
+      }
+      case 'number':
+        return { type: Number.isInteger(value) ? 'integer' : 'number' };
+      case 'boolean':
+        return { type: 'boolean' };
+      case 'string': {
+        const schema = { type: 'string' };
+        const format = this.detectFormat(value);
+        if (format) schema.format = format;
+        return schema;
+      }
+      default:
+        return {};
+    }
+  }
+
+  merge(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+
+    let types = [...new Set([...this.types(a), ...this.types(b)])];
+    if (types.includes('integer') && types.includes('number')) {
+      types = types.filter(type => type !== 'integer');
+    }
+
+    const result = { type: types.length === 1 ? types[0] : types };
+
+    if (a.properties || b.properties) {
+      const properties = {};
+      const keys = [...new Set([...Object.keys(a.properties || {}), ...Object.keys(b.properties || {})])];
+      keys.forEach(key => {
+        properties[key] = this.merge(a.properties && a.properties[key], b.properties && b.properties[key]);
+      });
+      result.properties = properties;
+
+      // Un champ n'est requis que s'il est présent dans tous les objets observés
+      const requiredLists = [a, b].filter(schema => schema.properties).map(schema => schema.required || []);
+      result.required = requiredLists.reduce((acc, list) => acc.filter(key => list.includes(key)));
+    }
+
+    if (a.items || b.items) {
+      result.items = this.merge(a.items, b.items);
+    }
+
+    const format = this.mergeFormat(a, b);
+    if (format) result.format = format;
+
+    return result;
+  }
+
+  types(schema) {
+    if (!schema.type) return [];
+    return Array.isArray(schema.type) ? schema.type : [schema.type];
+  }
+
+  isNullable(schema) {
+    return this.types(schema).includes('null');
+  }
+
+  // Le format n'est conservé que si tous les échantillons string le partagent
+  mergeFormat(a, b) {
+    const aHasString = this.types(a).includes('string');
+    const bHasString = this.types(b).includes('string');
+    if (aHasString && bHasString) return a.format === b.format ? a.format : undefined;
+    return aHasString ? a.format : (bHasString ? b.format : undefined);
+  }
+
+  detectFormat(value) {
+    if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/.test(value)) return 'date-time';
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return 'date';
+    if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)) return 'uuid';
+    if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) return 'email';
+    return undefined;
+  }
+}
@@ -0,0 +1,155 @@
+// lib/source-map.js - Résolution des positions de pile via les source maps (v3)
+// Les scripts et leurs maps sont téléchargés une seule fois par URL
+class SourceMapResolver {
+  constructor(options = {}) {
+    this.fetch = options.fetch || ((url) => fetch(url));
+    this.maps = new Map();
+  }
+
+  static get BASE64() {
+    return 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+  }
+
+  // "https://app.local/src/users.service.ts:42" : l'emplacement d'origine prime sur le fichier généré
+  static formatFrame(frame) {
+    const location = frame.original || { source: frame.url, line: frame.line };
+    return `${location.source}:${location.line}`;
+  }
+
+  // Compléter chaque frame { url, line, column } avec `original` quand une map existe
+  async resolveStack(frames) {
+    return Promise.all(frames.map(async frame => {
+      try {
+        const map = await this.load(frame.url);
+        const original = map ? this.lookup(map, frame.line, frame.column) : null;
+        return original ? { ...frame, original } : frame;
+      } catch (e) {
+        return frame;
+      }
+    }));
+  }
+
+  load(scriptUrl) {
+    if (!/^https?:/.test(scriptUrl || '')) return Promise.resolve(null);
+    if (!this.maps.has(scriptUrl)) {
+      this.maps.set(scriptUrl, this.fetchMap(scriptUrl).catch(() => null));
+    }
+    return this.maps.get(scriptUrl);
+  }
+
+  async fetchMap(scriptUrl) {
+    const response = await this.fetch(scriptUrl);
+    if (!response.ok) return null;
+
+    const header = response.headers.get('sourcemap') || response.headers.get('x-sourcemap');
+    const script = await response.text();
+    const comment = script.match(/[#@]\s*sourceMappingURL=(\S+)\s*$/m);
+    const mapUrl = header || (comment && comment[1]);
+    if (!mapUrl) return null;
+
+    let raw;
+    if (mapUrl.startsWith('data:')) {
+      const data = mapUrl.slice(mapUrl.indexOf(',') + 1);
+      raw = /;base64,/.test(mapUrl) ? atob(data) : decodeURIComponent(data);
+    } else {
+      const mapResponse = await this.fetch(new URL(mapUrl, scriptUrl).href);
+      if (!mapResponse.ok) return null;
+      raw = await mapResponse.text();
+    }
+
+    // Préfixe anti-XSSI éventuel : )]}'
+    return this.parse(JSON.parse(raw.replace(/^\)\]\}'[^\n]*\n/, '')), new URL(mapUrl, scriptUrl).href);
+  }
+
+  parse(map, mapUrl) {
+    // Les index maps (sections) ne sont pas gérées
+    if (!map.mappings) return null;
+
+    const root = map.sourceRoot ? map.sourceRoot.replace(/\/?$/, '/') : '';
+    return {
+      sources: (map.sources || []).map(source => this.sourceUrl(root + source, mapUrl)),
+      names: map.names || [],
+      lines: this.decodeMappings(map.mappings)
+    };
+  }
+
+  sourceUrl(source, mapUrl) {
+    // webpack:///./src/app.js et consorts sont gardés tels quels
+    if (/^[a-z][a-z0-9+.-]*:/i.test(source)) return source;
+    try {
+      return new URL(source, mapUrl).href;
+    } catch (e) {
+      return source;
+    }
+  }
+
+  // -> lignes générées, chacune une liste triée de [colonne, source, ligne, colonne, nom]
+  decodeMappings(mappings) {
+    const lines = [];
+    let source = 0;
+    let sourceLine = 0;
+    let sourceColumn = 0;
+    let name = 0;
+
+    mappings.split(';').forEach(lineText => {
+      const segments = [];
+      let column = 0;
+
+      lineText.split(',').filter(Boolean).forEach(segmentText => {
+        const values = this.decodeVlq(segmentText);
+        column += values[0];
+        if (values.length >= 4) {
+          source += values[1];
+          sourceLine += values[2];
+          sourceColumn += values[3];
+          if (values.length >= 5) name += values[4];
+          segments.push([column, source, sourceLine, sourceColumn, values.length >= 5 ? name : null]);
+        }
+      });
+
+      lines.push(segments);
+    });
+
+    return lines;
+  }
+
+  decodeVlq(text) {
+    const values = [];
+    let value = 0;
+    let shift = 0;
+
+    for (const char of text) {
+      const digit = SourceMapResolver.BASE64.indexOf(char);
+      value += (digit & 31) << shift;
+      if (digit & 32) {
+        shift += 5;
+      } else {
+        values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+        value = 0;
+        shift = 0;
+      }
+    }
+
+    return values;
+  }
+
+  // Positions de pile : ligne et colonne à partir de 1 ; source map : à partir de 0
+  lookup(map, line, column) {
+    const segments = map.lines[line - 1];
+    if (!segments || segments.length === 0) return null;
+
+    let match = null;
+    for (const segment of segments) {
+      if (segment[0] > column - 1) break;
+      match = segment;
+    }
+    if (!match) return null;
+
+    return {
+      source: map.sources[match[1]],
+      line: match[2] + 1,
+      column: match[3] + 1,
+      name: match[4] !== null ? map.names[match[4]] : undefined
+    };
+  }
+}
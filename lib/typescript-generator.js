@@ -0,0 +1,189 @@
+// lib/typescript-generator.js - Génération d'interfaces TypeScript depuis les payloads JSON
+// Dépend de SchemaInferrer (lib/schema-inferrer.js) et Naming (lib/naming.js)
+class TypeScriptGenerator {
+  constructor() {
+    this.schemaInferrer = new SchemaInferrer();
+  }
+
+  // Retourne la liste des fichiers à écrire : [{ name, content }]
+  // layout 'single' -> models.ts, 'per-resource' -> un fichier par ressource + index.ts
+  generate(logs, options = {}) {
+    this.interfaces = new Map();
+    // Types de requête/réponse par endpoint ("GET /api/users/{id}"), utilisés par les générateurs de services
+    this.endpointTypes = new Map();
+
+    const endpoints = this.collectEndpoints(logs);
+    endpoints.forEach(endpoint => this.buildEndpointTypes(endpoint));
+
+    const header = `// Généré par API Logger le ${new Date().toISOString()} à partir de ${logs.length} appels capturés\n`;
+
+    if (options.layout === 'per-resource') {
+      return this.perResourceFiles(header);
+    }
+
+    return [{ name: 'models.ts', content: header + '\n' + this.renderInterfaces([...this.interfaces.values()]) }];
+  }
+
+  collectEndpoints(logs) {
+    const endpoints = new Map();
+
+    logs.forEach(log => {
+      if (!log.method || !log.routeTemplate) return;
+      const key = `${log.method} ${log.routeTemplate}`;
+      if (!endpoints.has(key)) {
+        endpoints.set(key, { method: log.method, routeTemplate: log.routeTemplate, requestSamples: [], responseSamples: [] });
+      }
+      const endpoint = endpoints.get(key);
+      if (log.requestJSON !== undefined) endpoint.requestSamples.push(log.requestJSON);
+      // Seules les réponses en succès décrivent le modèle métier
+      if (log.responseJSON !== undefined && log.statusCode >= 200 && log.statusCode < 300) {
+        endpoint.responseSamples.push(log.responseJSON);
+      }
+    });
+
+    return [...endpoints.values()].sort((a, b) => a.routeTemplate.localeCompare(b.routeTemplate));
+  }
+
+  buildEndpointTypes(endpoint) {
+    const segments = Naming.resourceSegments(endpoint.routeTemplate);
+    const resource = Naming.resourceOf(endpoint.routeTemplate);
+    const baseName = Naming.pascalCase(Naming.singular(segments[segments.length - 1] || 'root'));
+    const label = `${endpoint.method} ${endpoint.routeTemplate}`;
+    const types = { references: new Set() };
+
+    if (endpoint.requestSamples.length > 0) {
+      const schema = this.schemaInferrer.inferFromSamples(endpoint.requestSamples);
+      types.requestType = this.typeFor(schema, this.verbFor(endpoint.method) + baseName + 'Request', resource, types.references, `${label} (corps de requête)`);
+    }
+
+    if (endpoint.responseSamples.length > 0) {
+      const schema = this.schemaInferrer.inferFromSamples(endpoint.responseSamples);
+      types.responseType = this.typeFor(schema, baseName, resource, types.references, `${label} (réponse)`);
+    }
+
+    this.endpointTypes.set(label, types);
+  }
+
+  verbFor(method) {
+    return { POST: 'Create', PUT: 'Update', PATCH: 'Patch', DELETE: 'Delete' }[method] || '';
+  }
+
+  // Type TypeScript d'un schéma ; les objets deviennent des interfaces nommées
+  typeFor(schema, nameHint, resource, references, source) {
+    const types = this.schemaInferrer.types(schema || {});
+    if (types.length === 0) return 'unknown';
+
+    // null en dernier : `string | null`
+    const ordered = [...types.filter(type => type !== 'null'), ...types.filter(type => type === 'null')];
+    const parts = ordered.map(type => {
+      switch (type) {
+        case 'string':
+          return 'string';
+        case 'integer':
+        case 'number':
+          return 'number';
+        case 'boolean':
+          return 'boolean';
+        case 'null':
+          return 'null';
+        case 'object': {
+          const name = this.registerInterface(nameHint, schema, resource, source);
+          references.add(name);
+          return name;
+        }
+        case 'array': {
+          if (!schema.items) return 'unknown[]';
+          const itemType = this.typeFor(schema.items, Naming.singular(nameHint), resource, references, source);
+          return itemType.includes('|') ? `(${itemType})[]` : `${itemType}[]`;
+        }
+        default:
+          return 'unknown';
+      }
+    });
+
+    return parts.join(' | ');
+  }
+
+  registerInterface(name, schema, resource, source) {
+    const references = new Set();
+    const required = schema.required || [];
+    const body = Object.keys(schema.properties || {}).map(key => {
+      const type = this.typeFor(schema.properties[key], name + Naming.pascalCase(key), resource, references);
+      const optional = required.includes(key) ? '' : '?';
+      const property = Naming.isIdentifier(key) ? key : JSON.stringify(key);
+      return `  ${property}${optional}: ${type};`;
+    }).join('\n');
+
+    // Réutiliser une interface identique, sinon suffixer le nom en cas de conflit
+    let candidate = name;
+    let suffix = 2;
+    while (this.interfaces.has(candidate)) {
+      const existing = this.interfaces.get(candidate);
+      if (existing.body === body) {
+        if (source) existing.sources.add(source);
+        return candidate;
+      }
+      candidate = name + suffix++;
+    }
+
+    this.interfaces.set(candidate, {
+      name: candidate,
+      body,
+      resource,
+      references,
+      sources: new Set(source ? [source] : [])
+    });
+    return candidate;
+  }
+
+  renderInterfaces(interfaces) {
+    return interfaces.map(item => {
+      const comment = item.sources.size > 0
+        ? `/** ${[...item.sources].join(', ')} */\n`
+        : '';
+      return `${comment}export interface ${item.name} {\n${item.body}${item.body ? '\n' : ''}}\n`;
+    }).join('\n');
+  }
+
+  perResourceFiles(header) {
+    const byResource = new Map();
+    this.interfaces.forEach(item => {
+      if (!byResource.has(item.resource)) byResource.set(item.resource, []);
+      byResource.get(item.resource).push(item);
+    });
+
+    const fileFor = resource => `${Naming.kebabCase(Naming.singular(resource)) || 'root'}.model`;
+    const files = [];
+
+    byResource.forEach((items, resource) => {
+      // Imports des interfaces définies dans les fichiers d'autres ressources
+      const imports = new Map();
+      items.forEach(item => {
+        item.references.forEach(name => {
+          const referenced = this.interfaces.get(name);
+          if (referenced && referenced.resource !== resource) {
+            const file = fileFor(referenced.resource);
+            if (!imports.has(file)) imports.set(file, new Set());
+            imports.get(file).add(name);
+          }
+        });
+      });
+
+      const importLines = [...imports.entries()]
+        .map(([file, names]) => `import { ${[...names].sort().join(', ')} } from './${file}';`)
+        .join('\n');
+
+      files.push({
+        name: `${fileFor(resource)}.ts`,
+        content: header + '\n' + (importLines ? importLines + '\n\n' : '') + this.renderInterfaces(items)
+      });
+    });
+
+    files.push({
+      name: 'index.ts',
+      content: header + '\n' + [...byResource.keys()].map(resource => `export * from './${fileFor(resource)}';`).join('\n') + '\n'
+    });
+
+    return files;
+  }
+}
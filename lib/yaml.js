@@ -0,0 +1,68 @@
+// lib/yaml.js - Sérialisation YAML minimale (objets, tableaux, scalaires JSON)
+class YamlSerializer {
+  stringify(value) {
+    return this.lines(value, 0).join('\n') + '\n';
+  }
+
+  lines(value, indent) {
+    const pad = '  '.repeat(indent);
+
+    if (Array.isArray(value)) {
+      if (value.length === 0) return [pad + '[]'];
+      const result = [];
+      value.forEach(item => {
+        if (this.isInline(item)) {
+          result.push(`${pad}- ${this.inline(item)}`);
+        } else {
+          const itemLines = this.lines(item, indent + 1);
+          itemLines[0] = `${pad}- ${itemLines[0].slice(pad.length + 2)}`;
+          result.push(...itemLines);
+        }
+      });
+      return result;
+    }
+
+    if (value !== null && typeof value === 'object') {
+      const keys = Object.keys(value).filter(key => value[key] !== undefined);
+      if (keys.length === 0) return [pad + '{}'];
+      const result = [];
+      keys.forEach(key => {
+        const child = value[key];
+        if (this.isInline(child)) {
+          result.push(`${pad}${this.scalar(key)}: ${this.inline(child)}`);
+        } else {
+          result.push(`${pad}${this.scalar(key)}:`);
+          result.push(...this.lines(child, indent + 1));
+        }
+      });
+      return result;
+    }
+
+    return [pad + this.scalar(value)];
+  }
+
+  // Scalaires et collections vides s'écrivent sur la même ligne que leur clé
+  isInline(value) {
+    if (value === null || typeof value !== 'object') return true;
+    return Array.isArray(value) ? value.length === 0 : Object.keys(value).length === 0;
+  }
+
+  inline(value) {
+    if (Array.isArray(value)) return '[]';
+    if (value !== null && typeof value === 'object') return '{}';
+    return this.scalar(value);
+  }
+
+  scalar(value) {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value === 'number' || typeof value === 'boolean') return JSON.stringify(value);
+
+    const text = String(value);
+    const reserved = /^(true|false|null|yes|no|on|off|~|y|n)$/i;
+    if (/^[A-Za-z_/][\w/.\- ]*$/.test(text) && !text.endsWith(' ') && !reserved.test(text)) {
+      return text;
+    }
+    // Une chaîne JSON est un scalaire YAML double-quoted valide
+    return JSON.stringify(text);
+  }
+}
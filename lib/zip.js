@@ -0,0 +1,95 @@
+// lib/zip.js - Écriture d'archives ZIP sans compression (méthode "stored")
+// Suffisant pour regrouper les fichiers générés en un seul téléchargement
+class ZipWriter {
+  constructor() {
+    this.files = [];
+  }
+
+  addFile(name, content) {
+    const data = typeof content === 'string' ? new TextEncoder().encode(content) : content;
+    this.files.push({ name: new TextEncoder().encode(name), data, crc: ZipWriter.crc32(data) });
+  }
+
+  generate() {
+    const { time, date } = ZipWriter.dosDateTime(new Date());
+    const chunks = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    this.files.forEach(file => {
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true); // Version nécessaire
+      local.setUint16(6, 0x0800, true); // Noms en UTF-8
+      local.setUint16(8, 0, true); // Pas de compression
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, file.crc, true);
+      local.setUint32(18, file.data.length, true);
+      local.setUint32(22, file.data.length, true);
+      local.setUint16(26, file.name.length, true);
+      local.setUint16(28, 0, true);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true);
+      central.setUint16(4, 20, true);
+      central.setUint16(6, 20, true);
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, time, true);
+      central.setUint16(14, date, true);
+      central.setUint32(16, file.crc, true);
+      central.setUint32(20, file.data.length, true);
+      central.setUint32(24, file.data.length, true);
+      central.setUint16(28, file.name.length, true);
+      central.setUint32(42, offset, true);
+
+      chunks.push(new Uint8Array(local.buffer), file.name, file.data);
+      centralDirectory.push(new Uint8Array(central.buffer), file.name);
+      offset += 30 + file.name.length + file.data.length;
+    });
+
+    const centralSize = centralDirectory.reduce((size, chunk) => size + chunk.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, this.files.length, true);
+    end.setUint16(10, this.files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...chunks, ...centralDirectory, new Uint8Array(end.buffer)];
+    const result = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+      result.set(part, position);
+      position += part.length;
+    });
+    return result;
+  }
+
+  static dosDateTime(now) {
+    return {
+      time: (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2),
+      date: ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate()
+    };
+  }
+
+  static crc32(data) {
+    if (!ZipWriter.crcTable) {
+      ZipWriter.crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        ZipWriter.crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+      crc = ZipWriter.crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+}
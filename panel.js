@@ -0,0 +1,240 @@
+// panel.js - Panneau DevTools : logs de l'onglet inspecté en direct
+class PanelController {
+  constructor() {
+    this.tabId = chrome.devtools.inspectedWindow.tabId;
+    this.logs = [];
+    this.state = { isLogging: false, filters: {} };
+    this.selectedId = null;
+    this.snippets = new RequestSnippets();
+    this.initElements();
+    this.initEventListeners();
+    this.connect();
+    this.loadState();
+    this.loadLogs();
+  }
+
+  initElements() {
+    this.elements = {
+      status: document.getElementById('status'),
+      startBtn: document.getElementById('startBtn'),
+      stopBtn: document.getElementById('stopBtn'),
+      refreshBtn: document.getElementById('refreshBtn'),
+      filtersSummary: document.getElementById('filtersSummary'),
+      logRows: document.getElementById('logRows'),
+      detail: document.getElementById('detail')
+    };
+  }
+
+  initEventListeners() {
+    this.elements.startBtn.addEventListener('click', () => this.startLogging());
+    this.elements.stopBtn.addEventListener('click', () => this.stopLogging());
+    this.elements.refreshBtn.addEventListener('click', () => this.loadLogs());
+
+    this.elements.logRows.addEventListener('click', (event) => {
+      const row = event.target.closest('tr');
+      if (!row) return;
+      this.selectedId = row.dataset.id;
+      this.renderRows();
+      this.renderDetail();
+    });
+
+    this.elements.detail.addEventListener('click', (event) => {
+      if (event.target.dataset.copy) this.copyRequest(event.target.dataset.copy);
+    });
+
+    // Corps de réponse lus par les DevTools, pour les appels que injected.js n'a pas vus
+    chrome.devtools.network.onRequestFinished.addListener((request) => this.onRequestFinished(request));
+  }
+
+  // Port vers le service worker : nouveaux logs et changements d'état en direct.
+  // Le port est coupé quand le worker s'arrête : on se reconnecte et on recharge
+  connect() {
+    this.port = chrome.runtime.connect({ name: 'devtools-panel' });
+    this.port.onMessage.addListener((message) => this.onBackgroundMessage(message));
+    this.port.onDisconnect.addListener(() => {
+      setTimeout(() => {
+        this.connect();
+        this.loadState();
+        this.loadLogs();
+      }, 1000);
+    });
+  }
+
+  onBackgroundMessage(message) {
+    switch (message.type) {
+      case 'state':
+        this.state = message;
+        this.updateUI();
+        break;
+      case 'log':
+        if (message.log.tabId !== this.tabId) return;
+        this.logs = this.logs.filter(log => log.id !== message.log.id && log.id !== message.replacedId);
+        this.logs.push(message.log);
+        if (message.replacedId === this.selectedId) this.selectedId = message.log.id;
+        this.renderRows();
+        if (message.log.id === this.selectedId) this.renderDetail();
+        break;
+      case 'cleared':
+        this.logs = [];
+        this.selectedId = null;
+        this.renderRows();
+        this.renderDetail();
+        break;
+    }
+  }
+
+  async loadState() {
+    const response = await this.sendMessage({ action: 'getState' });
+    if (response) {
+      this.state = response;
+      this.updateUI();
+    }
+  }
+
+  async loadLogs() {
+    // Dernière page de l'onglet inspecté ; les suivants arrivent en direct par le port
+    const response = await this.sendMessage({ action: 'getLogs', tabId: this.tabId });
+    this.logs = ((response && response.logs) || []).reverse();
+    this.renderRows();
+    this.renderDetail();
+  }
+
+  async startLogging() {
+    const tabUrl = await new Promise((resolve) => {
+      chrome.devtools.inspectedWindow.eval('location.href', (result) => resolve(result));
+    });
+
+    // Les filtres courants du service worker sont conservés
+    const response = await this.sendMessage({
+      action: 'startLogging',
+      scope: { mode: 'tab', tabId: this.tabId, tabUrl: tabUrl },
+      session: { tabId: this.tabId, tabUrl: tabUrl }
+    });
+    if (!response.success) {
+      this.elements.filtersSummary.textContent = `Demarrage impossible: ${response.error}`;
+    }
+  }
+
+  async stopLogging() {
+    await this.sendMessage({ action: 'stopLogging' });
+  }
+
+  onRequestFinished(request) {
+    if (!this.state.isLogging || !['xhr', 'fetch'].includes(request._resourceType)) return;
+
+    request.getContent((content, encoding) => {
+      const entry = {
+        startedDateTime: request.startedDateTime,
+        time: request.time,
+        request: request.request,
+        response: {
+          ...request.response,
+          content: { ...request.response.content, text: content, encoding: encoding || undefined }
+        },
+        _resourceType: request._resourceType
+      };
+      this.sendMessage({ action: 'logFromDevtools', entry: entry, tabId: this.tabId });
+    });
+  }
+
+  updateUI() {
+    const { isLogging, filters = {}, scope } = this.state;
+    const scopedHere = !scope || scope.mode !== 'tab' || scope.tabId === this.tabId;
+
+    this.elements.status.className = `status ${isLogging && scopedHere ? 'logging' : 'stopped'}`;
+    this.elements.status.textContent = isLogging
+      ? (scopedHere ? 'Capture active' : 'Capture sur un autre onglet')
+      : 'Arrete';
+    this.elements.startBtn.disabled = isLogging && scopedHere;
+    this.elements.stopBtn.disabled = !isLogging;
+
+    const include = filters.include || filters.urls || [];
+    this.elements.filtersSummary.textContent = [
+      `Methodes: ${(filters.methods || []).join(', ') || 'toutes'}`,
+      include.length > 0 ? `Inclure: ${include.join(' ')}` : '',
+      (filters.exclude || []).length > 0 ? `Exclure: ${filters.exclude.join(' ')}` : '',
+      (filters.statuses || []).length > 0 ? `Statuts: ${filters.statuses.join(', ')}` : ''
+    ].filter(Boolean).join(' | ');
+  }
+
+  renderRows() {
+    this.elements.logRows.innerHTML = this.logs
+      .map(log => {
+        const isError = log.error || (log.statusCode && log.statusCode >= 400);
+        const classes = [isError ? 'error' : '', log.id === this.selectedId ? 'selected' : ''].join(' ');
+        return `
+          <tr class="${classes}" data-id="${this.escapeHtml(log.id)}" title="${this.escapeHtml(log.url)}">
+            <td>${new Date(log.timestamp).toLocaleTimeString()}</td>
+            <td>${this.escapeHtml(log.method)}</td>
+            <td class="url">${this.escapeHtml(log.url)}</td>
+            <td>${log.statusCode || (log.error ? 'Erreur' : '')}</td>
+            <td>${log.duration !== undefined ? `${log.duration} ms` : ''}</td>
+          </tr>
+        `;
+      })
+      .join('');
+  }
+
+  renderDetail() {
+    const log = this.logs.find(l => l.id === this.selectedId);
+    if (!log) {
+      this.elements.detail.innerHTML = '<div class="empty">Selectionner une requete.</div>';
+      return;
+    }
+
+    let requestBody = log.requestJSON !== undefined ? log.requestJSON : log.requestData;
+    if ((requestBody === undefined || requestBody === null) && log.requestBody) requestBody = log.requestBody.data;
+    const responseBody = log.responseJSON !== undefined ? log.responseJSON : log.responseText;
+    this.elements.detail.innerHTML = `
+      <div><strong>${this.escapeHtml(log.method)}</strong> ${this.escapeHtml(log.url)}</div>
+      <div style="margin-top: 6px;">
+        <button class="btn-primary" data-copy="curl">Copier en cURL</button>
+        <button class="btn-primary" data-copy="fetch">Copier en fetch</button>
+      </div>
+      <h4>Route</h4><pre>${this.escapeHtml(log.routeTemplate || '')}</pre>
+      ${log.callStack && log.callStack.length > 0 ? `<h4>Appele depuis</h4><pre>${this.escapeHtml(log.callStack
+        .map(frame => `${frame.functionName || '(anonyme)'} - ${SourceMapResolver.formatFrame(frame)}`).join('\n'))}</pre>` : ''}
+      <h4>En-tetes de requete</h4><pre>${this.formatValue(log.requestHeaders)}</pre>
+      <h4>Corps de la requete</h4><pre>${this.formatValue(requestBody)}</pre>
+      <h4>En-tetes de reponse</h4><pre>${this.formatValue(log.responseHeaders)}</pre>
+      <h4>Corps de la reponse</h4><pre>${this.formatValue(responseBody)}</pre>
+    `;
+  }
+
+  formatValue(value) {
+    if (value === undefined || value === null || value === '') return '-';
+    return this.escapeHtml(typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+  }
+
+  copyRequest(format) {
+    const log = this.logs.find(l => l.id === this.selectedId);
+    if (!log) return;
+
+    // navigator.clipboard n'est pas autorisé dans un panneau DevTools : copie via une zone de texte
+    const textarea = document.createElement('textarea');
+    textarea.value = format === 'curl' ? this.snippets.toCurl(log) : this.snippets.toFetch(log);
+    document.body.appendChild(textarea);
+    textarea.select();
+    document.execCommand('copy');
+    textarea.remove();
+  }
+
+  escapeHtml(text) {
+    return String(text === undefined || text === null ? '' : text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  async sendMessage(message) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(message, resolve);
+    });
+  }
+}
+
+// Initialiser le contrôleur quand le panneau est chargé
+document.addEventListener('DOMContentLoaded', () => {
+  new PanelController();
+});
@@ -1,12 +1,26 @@
 // popup.js - Interface utilisateur de l'extension
 class PopupController {
+  static get METHODS() {
+    return ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+  }
+
   constructor() {
     this.isLogging = false;
     this.logs = [];
+    this.logCount = 0;
+    this.sessions = [];
+    this.selectedSessionIds = new Set();
+    this.filterPresets = {};
     this.initElements();
     this.initEventListeners();
     this.updateUI();
+    this.loadState();
+    this.loadFilterPresets();
+    this.loadRouteOverrides();
+    this.loadRedactionRules();
+    this.loadSinkSettings();
     this.refreshStats();
+    this.loadSessions();
   }
 
   initElements() {
@@ -15,12 +29,44 @@ class PopupController {
       logCount: document.getElementById('logCount'),
       startBtn: document.getElementById('startBtn'),
       stopBtn: document.getElementById('stopBtn'),
+      sessionName: document.getElementById('sessionName'),
+      sessionDescription: document.getElementById('sessionDescription'),
+      sessionList: document.getElementById('sessionList'),
+      captureScope: document.getElementById('captureScope'),
+      scopeOrigins: document.getElementById('scopeOrigins'),
+      mergeSessionsBtn: document.getElementById('mergeSessionsBtn'),
       exportBtn: document.getElementById('exportBtn'),
+      exportFormat: document.getElementById('exportFormat'),
+      specEndpoints: document.getElementById('specEndpoints'),
       clearBtn: document.getElementById('clearBtn'),
+      importHarBtn: document.getElementById('importHarBtn'),
+      harFile: document.getElementById('harFile'),
+      replayPageBtn: document.getElementById('replayPageBtn'),
+      explorerPageBtn: document.getElementById('explorerPageBtn'),
+      driftPageBtn: document.getElementById('driftPageBtn'),
+      analyticsPageBtn: document.getElementById('analyticsPageBtn'),
+      coverageFormat: document.getElementById('coverageFormat'),
+      coverageBtn: document.getElementById('coverageBtn'),
+      coverageFile: document.getElementById('coverageFile'),
       urlFilter: document.getElementById('urlFilter'),
+      excludeFilter: document.getElementById('excludeFilter'),
+      contentTypeFilter: document.getElementById('contentTypeFilter'),
+      statusFilter: document.getElementById('statusFilter'),
+      resourceTypes: document.querySelectorAll('.resource-type'),
+      filterPreset: document.getElementById('filterPreset'),
+      loadPresetBtn: document.getElementById('loadPresetBtn'),
+      savePresetBtn: document.getElementById('savePresetBtn'),
+      deletePresetBtn: document.getElementById('deletePresetBtn'),
+      routeOverrides: document.getElementById('routeOverrides'),
+      redactionRules: document.getElementById('redactionRules'),
+      sinkEnabled: document.getElementById('sinkEnabled'),
+      sinkUrl: document.getElementById('sinkUrl'),
+      sinkBatchSize: document.getElementById('sinkBatchSize'),
+      sinkStatus: document.getElementById('sinkStatus'),
       totalRequests: document.getElementById('totalRequests'),
       getRequests: document.getElementById('getRequests'),
       postRequests: document.getElementById('postRequests'),
+      endpointCount: document.getElementById('endpointCount'),
       errorRequests: document.getElementById('errorRequests'),
       preview: document.getElementById('preview'),
       previewContent: document.getElementById('previewContent'),
@@ -32,14 +78,38 @@ class PopupController {
     this.elements.startBtn.addEventListener('click', () => this.startLogging());
     this.elements.stopBtn.addEventListener('click', () => this.stopLogging());
     this.elements.exportBtn.addEventListener('click', () => this.exportLogs());
+    this.elements.exportFormat.addEventListener('change', () => {
+      this.elements.specEndpoints.style.display = this.elements.exportFormat.value === 'angular-specs' ? 'block' : 'none';
+    });
     this.elements.clearBtn.addEventListener('click', () => this.clearLogs());
+    this.elements.importHarBtn.addEventListener('click', () => this.elements.harFile.click());
+    this.elements.harFile.addEventListener('change', () => this.importHar());
+    this.elements.replayPageBtn.addEventListener('click', () => this.openPage('replay.html'));
+    this.elements.explorerPageBtn.addEventListener('click', () => this.openPage('explorer.html'));
+    this.elements.driftPageBtn.addEventListener('click', () => this.openPage('drift.html'));
+    this.elements.analyticsPageBtn.addEventListener('click', () => this.openPage('analytics.html'));
+    this.elements.coverageBtn.addEventListener('click', () => this.elements.coverageFile.click());
+    this.elements.coverageFile.addEventListener('change', () => this.exportCoverage());
     this.elements.togglePreview.addEventListener('click', () => this.togglePreview());
+    this.elements.mergeSessionsBtn.addEventListener('click', () => this.mergeSessions());
+    this.elements.captureScope.addEventListener('change', () => this.updateScopeUI());
+    this.elements.sessionList.addEventListener('change', (event) => this.onSessionChange(event));
+    this.elements.sessionList.addEventListener('click', (event) => this.onSessionClick(event));
     
     // Sauvegarder les filtres quand ils changent
-    this.elements.urlFilter.addEventListener('input', () => this.updateFilters());
+    [this.elements.urlFilter, this.elements.excludeFilter, this.elements.contentTypeFilter, this.elements.statusFilter]
+      .forEach(element => element.addEventListener('input', () => this.updateFilters()));
+    this.elements.resourceTypes.forEach(checkbox => checkbox.addEventListener('change', () => this.updateFilters()));
+    this.elements.loadPresetBtn.addEventListener('click', () => this.loadFilterPreset());
+    this.elements.savePresetBtn.addEventListener('click', () => this.saveFilterPreset());
+    this.elements.deletePresetBtn.addEventListener('click', () => this.deleteFilterPreset());
+    this.elements.routeOverrides.addEventListener('change', () => this.updateRouteOverrides());
+    this.elements.redactionRules.addEventListener('change', () => this.updateRedactionRules());
+    [this.elements.sinkEnabled, this.elements.sinkUrl, this.elements.sinkBatchSize]
+      .forEach(element => element.addEventListener('change', () => this.updateSinkSettings()));
     
     // Checkbox pour les méthodes HTTP
-    ['GET', 'POST', 'PUT', 'DELETE'].forEach(method => {
+    PopupController.METHODS.forEach(method => {
       const checkbox = document.getElementById(`method${method}`);
       if (checkbox) {
         checkbox.addEventListener('change', () => this.updateFilters());
@@ -47,21 +117,57 @@ class PopupController {
     });
 
     // Rafraîchir les stats périodiquement
-    setInterval(() => this.refreshStats(), 2000);
+    setInterval(() => {
+      this.refreshStats();
+      this.refreshSinkStatus();
+      // Nombre de requêtes de la session en cours
+      if (this.isLogging) this.loadSessions();
+    }, 2000);
   }
 
   async startLogging() {
     const filters = this.getFilters();
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     
     const response = await this.sendMessage({
       action: 'startLogging',
-      filters: filters
+      filters: filters,
+      scope: {
+        mode: this.elements.captureScope.value,
+        tabId: tab ? tab.id : null,
+        tabUrl: tab ? tab.url : null,
+        origins: this.elements.scopeOrigins.value.split('\n')
+      },
+      session: {
+        name: this.elements.sessionName.value,
+        description: this.elements.sessionDescription.value,
+        tabId: tab ? tab.id : null,
+        tabUrl: tab ? tab.url : null
+      }
     });
     
     if (response.success) {
       this.isLogging = true;
+      this.elements.sessionName.value = '';
+      this.elements.sessionDescription.value = '';
       this.updateUI();
-      this.showNotification('Logging demarre !', 'success');
+      this.loadSessions();
+      this.showNotification(`Session "${response.session.name}" demarree !`, 'success');
+    } else {
+      this.showNotification(`Demarrage impossible: ${response.error}`, 'error');
+    }
+  }
+
+  async updateScopeUI() {
+    const isOrigins = this.elements.captureScope.value === 'origins';
+    this.elements.scopeOrigins.style.display = isOrigins ? 'block' : 'none';
+
+    // Proposer l'origine de l'onglet courant
+    if (isOrigins && !this.elements.scopeOrigins.value.trim()) {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (tab && tab.url && /^https?:/.test(tab.url)) {
+        this.elements.scopeOrigins.value = new URL(tab.url).origin;
+      }
     }
   }
 
@@ -71,15 +177,101 @@ class PopupController {
     if (response.success) {
       this.isLogging = false;
       this.updateUI();
+      this.loadSessions();
       this.showNotification('Logging arrete !', 'info');
     }
   }
 
   async exportLogs() {
-    const response = await this.sendMessage({ action: 'exportLogs' });
+    const message = {
+      ...this.getExportMessage(this.elements.exportFormat.value),
+      sessionIds: [...this.selectedSessionIds]
+    };
+    const response = await this.sendMessage(message);
     
     if (response.success) {
       this.showNotification('Export en cours...', 'success');
+    } else {
+      this.showNotification(`Export impossible: ${response.error}`, 'error');
+    }
+  }
+
+  getExportMessage(format) {
+    switch (format) {
+      case 'openapi-yaml':
+        return { action: 'exportOpenAPI', format: 'yaml' };
+      case 'openapi-json':
+        return { action: 'exportOpenAPI', format: 'json' };
+      case 'typescript-single':
+        return { action: 'exportTypeScript', layout: 'single' };
+      case 'typescript-resource':
+        return { action: 'exportTypeScript', layout: 'per-resource' };
+      case 'angular-services':
+        return { action: 'exportAngularServices' };
+      case 'angular-specs':
+        return { action: 'exportAngularSpecs', endpoints: this.elements.specEndpoints.value.split('\n') };
+      case 'har':
+        return { action: 'exportHar' };
+      case 'postman-route':
+        return { action: 'exportCollection', target: 'postman', groupBy: 'route' };
+      case 'postman-session':
+        return { action: 'exportCollection', target: 'postman', groupBy: 'session' };
+      case 'insomnia-route':
+        return { action: 'exportCollection', target: 'insomnia', groupBy: 'route' };
+      case 'insomnia-session':
+        return { action: 'exportCollection', target: 'insomnia', groupBy: 'session' };
+      case 'mock-angular':
+        return { action: 'exportMockBackend', target: 'angular' };
+      case 'mock-node':
+        return { action: 'exportMockBackend', target: 'node' };
+      default:
+        return { action: 'exportLogs' };
+    }
+  }
+
+  async importHar() {
+    const file = this.elements.harFile.files[0];
+    if (!file) return;
+
+    try {
+      const har = JSON.parse(await file.text());
+      const response = await this.sendMessage({ action: 'importHar', har: har, fileName: file.name });
+
+      if (response.success) {
+        this.refreshStats();
+        this.loadSessions();
+        const skipped = response.skipped ? ` (${response.skipped} entrees ignorees : date invalide)` : '';
+        this.showNotification(`${response.count} requetes importees depuis ${file.name}${skipped}`, 'success');
+      } else {
+        this.showNotification(`Import impossible: ${response.error}`, 'error');
+      }
+    } catch (e) {
+      this.showNotification(`Fichier HAR illisible: ${e.message}`, 'error');
+    } finally {
+      this.elements.harFile.value = '';
+    }
+  }
+
+  async exportCoverage() {
+    const file = this.elements.coverageFile.files[0];
+    if (!file) return;
+
+    try {
+      const response = await this.sendMessage({
+        action: 'exportCoverage',
+        reference: await file.text(),
+        fileName: file.name,
+        format: this.elements.coverageFormat.value,
+        sessionIds: [...this.selectedSessionIds]
+      });
+
+      if (response.success) {
+        this.showNotification('Rapport de couverture en cours...', 'success');
+      } else {
+        this.showNotification(`Reference illisible: ${response.error}`, 'error');
+      }
+    } finally {
+      this.elements.coverageFile.value = '';
     }
   }
 
@@ -89,26 +281,207 @@ class PopupController {
       
       if (response.success) {
         this.logs = [];
+        this.logCount = 0;
+        this.selectedSessionIds.clear();
         this.updateUI();
         this.refreshStats();
+        this.loadSessions();
         this.showNotification('Logs supprimes !', 'info');
       }
     }
   }
 
+  async loadSessions() {
+    const response = await this.sendMessage({ action: 'getSessions' });
+    this.sessions = (response && response.sessions) || [];
+
+    // Oublier la sélection des sessions supprimées ou fusionnées
+    const ids = new Set(this.sessions.map(session => session.id));
+    this.selectedSessionIds.forEach(id => {
+      if (!ids.has(id)) this.selectedSessionIds.delete(id);
+    });
+    this.renderSessions();
+  }
+
+  renderSessions() {
+    if (this.sessions.length === 0) {
+      this.elements.sessionList.innerHTML = '<small>Aucune session</small>';
+      return;
+    }
+
+    this.elements.sessionList.innerHTML = this.sessions
+      .map(session => {
+        const id = this.escapeHtml(session.id);
+        const period = new Date(session.startTime).toLocaleString() +
+          (session.endTime ? ` - ${new Date(session.endTime).toLocaleTimeString()}` : ' (en cours)');
+        const details = [session.description, session.tabUrl, session.stopReason && `Arret: ${session.stopReason}`]
+          .filter(Boolean)
+          .join('\n');
+
+        return `
+          <div class="session-item ${session.active ? 'active' : ''}" title="${this.escapeHtml(details)}">
+            <input type="checkbox" data-id="${id}" ${this.selectedSessionIds.has(session.id) ? 'checked' : ''}>
+            <div class="session-info">
+              <strong>${this.escapeHtml(session.name)}</strong> (${session.logCount})
+              <br><small>${period}</small>
+            </div>
+            <button data-action="rename" data-id="${id}">Renommer</button>
+            <button data-action="delete" data-id="${id}" ${session.active ? 'disabled' : ''}>Suppr.</button>
+          </div>
+        `;
+      })
+      .join('');
+  }
+
+  onSessionChange(event) {
+    const id = event.target.dataset.id;
+    if (!id) return;
+    if (event.target.checked) {
+      this.selectedSessionIds.add(id);
+    } else {
+      this.selectedSessionIds.delete(id);
+    }
+  }
+
+  async onSessionClick(event) {
+    const { action, id } = event.target.dataset;
+    const session = this.sessions.find(s => s.id === id);
+    if (!action || !session) return;
+
+    let response;
+    if (action === 'rename') {
+      const name = prompt('Nom de la session :', session.name);
+      if (name === null) return;
+      const description = prompt('Description :', session.description || '');
+      response = await this.sendMessage({
+        action: 'renameSession',
+        sessionId: id,
+        name: name,
+        description: description === null ? undefined : description
+      });
+    } else if (action === 'delete') {
+      if (!confirm(`Supprimer la session "${session.name}" et ses ${session.logCount} requetes ?`)) return;
+      response = await this.sendMessage({ action: 'deleteSession', sessionId: id });
+    }
+
+    if (response && !response.success) {
+      this.showNotification(response.error, 'error');
+    }
+    this.loadSessions();
+    this.refreshStats();
+  }
+
+  async mergeSessions() {
+    const sessionIds = [...this.selectedSessionIds];
+    if (sessionIds.length < 2) {
+      this.showNotification('Cocher au moins deux sessions a fusionner', 'error');
+      return;
+    }
+
+    const name = prompt('Nom de la session fusionnee (vide = noms combines) :', '');
+    if (name === null) return;
+
+    const response = await this.sendMessage({ action: 'mergeSessions', sessionIds: sessionIds, name: name });
+    if (response.success) {
+      this.selectedSessionIds = new Set([response.session.id]);
+      this.showNotification(`Sessions fusionnees dans "${response.session.name}"`, 'success');
+    } else {
+      this.showNotification(response.error, 'error');
+    }
+    this.loadSessions();
+  }
+
   getFilters() {
-    const urlFilterText = this.elements.urlFilter.value.trim();
-    const urls = urlFilterText ? urlFilterText.split('\n').filter(url => url.trim()) : [];
+    const lines = element => element.value.split('\n').map(line => line.trim()).filter(line => line);
+    const list = element => element.value.split(',').map(item => item.trim()).filter(item => item);
     
     const methods = [];
-    ['GET', 'POST', 'PUT', 'DELETE'].forEach(method => {
+    PopupController.METHODS.forEach(method => {
       const checkbox = document.getElementById(`method${method}`);
       if (checkbox && checkbox.checked) {
         methods.push(method);
       }
     });
 
-    return { urls, methods };
+    return {
+      include: lines(this.elements.urlFilter),
+      exclude: lines(this.elements.excludeFilter),
+      methods: methods,
+      resourceTypes: [...this.elements.resourceTypes].filter(checkbox => checkbox.checked).map(checkbox => checkbox.value),
+      contentTypes: list(this.elements.contentTypeFilter),
+      statuses: list(this.elements.statusFilter)
+    };
+  }
+
+  setFiltersUI(filters) {
+    this.elements.urlFilter.value = (filters.include || filters.urls || []).join('\n');
+    this.elements.excludeFilter.value = (filters.exclude || []).join('\n');
+    this.elements.contentTypeFilter.value = (filters.contentTypes || []).join(', ');
+    this.elements.statusFilter.value = (filters.statuses || []).join(', ');
+    this.elements.resourceTypes.forEach(checkbox => {
+      checkbox.checked = (filters.resourceTypes || []).includes(checkbox.value);
+    });
+    PopupController.METHODS.forEach(method => {
+      const checkbox = document.getElementById(`method${method}`);
+      if (checkbox && filters.methods && filters.methods.length > 0) {
+        checkbox.checked = filters.methods.includes(method);
+      }
+    });
+  }
+
+  async loadFilterPresets(selected) {
+    const response = await this.sendMessage({ action: 'getFilterPresets' });
+    this.filterPresets = (response && response.presets) || {};
+    this.elements.filterPreset.innerHTML = '<option value="">(presets)</option>' + Object.keys(this.filterPresets)
+      .sort()
+      .map(name => `<option value="${this.escapeHtml(name)}">${this.escapeHtml(name)}</option>`)
+      .join('');
+    if (selected) this.elements.filterPreset.value = selected;
+  }
+
+  async loadFilterPreset() {
+    const filters = this.filterPresets[this.elements.filterPreset.value];
+    if (!filters) return;
+
+    this.setFiltersUI(filters);
+    await this.updateFilters();
+    this.showNotification(`Preset "${this.elements.filterPreset.value}" applique`, 'info');
+  }
+
+  async saveFilterPreset() {
+    const name = prompt('Nom du preset :', this.elements.filterPreset.value);
+    if (!name) return;
+
+    const response = await this.sendMessage({ action: 'saveFilterPreset', name: name, filters: this.getFilters() });
+    if (response.success) {
+      await this.loadFilterPresets(name.trim());
+      this.showNotification(`Preset "${name}" enregistre`, 'success');
+    } else {
+      this.showNotification(response.error, 'error');
+    }
+  }
+
+  async deleteFilterPreset() {
+    const name = this.elements.filterPreset.value;
+    if (!name || !confirm(`Supprimer le preset "${name}" ?`)) return;
+
+    await this.sendMessage({ action: 'deleteFilterPreset', name: name });
+    await this.loadFilterPresets();
+  }
+
+  // L'état est conservé par le service worker : le popup le relit à chaque ouverture
+  async loadState() {
+    const response = await this.sendMessage({ action: 'getState' });
+    if (!response) return;
+
+    this.isLogging = response.isLogging;
+    if (response.scope && response.scope.mode) {
+      this.elements.captureScope.value = response.scope.mode;
+      this.elements.scopeOrigins.value = (response.scope.origins || []).join('\n');
+      this.updateScopeUI();
+    }
+    this.setFiltersUI(response.filters || {});
+    this.updateUI();
   }
 
   async updateFilters() {
@@ -119,14 +492,112 @@ class PopupController {
     });
   }
 
+  async loadRouteOverrides() {
+    const response = await this.sendMessage({ action: 'getRouteOverrides' });
+    if (response.overrides) {
+      this.elements.routeOverrides.value = response.overrides.join('\n');
+    }
+  }
+
+  async updateRouteOverrides() {
+    const overrides = this.elements.routeOverrides.value
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line);
+
+    const response = await this.sendMessage({
+      action: 'setRouteOverrides',
+      overrides: overrides
+    });
+
+    if (response.success) {
+      this.showNotification('Routes manuelles mises a jour', 'info');
+    }
+  }
+
+  async loadRedactionRules() {
+    const response = await this.sendMessage({ action: 'getRedactionRules' });
+    if (response.rules) {
+      this.elements.redactionRules.value = response.rules.join('\n');
+    }
+  }
+
+  async updateRedactionRules() {
+    const rules = this.elements.redactionRules.value
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line);
+
+    const response = await this.sendMessage({
+      action: 'setRedactionRules',
+      rules: rules
+    });
+
+    if (response.success) {
+      this.showNotification('Regles de masquage mises a jour', 'info');
+    }
+  }
+
+  async loadSinkSettings() {
+    const response = await this.sendMessage({ action: 'getSinkSettings' });
+    if (response && response.settings) {
+      this.elements.sinkEnabled.checked = response.settings.enabled;
+      this.elements.sinkUrl.value = response.settings.url;
+      this.elements.sinkBatchSize.value = response.settings.batchSize;
+      this.renderSinkStatus(response.status);
+    }
+  }
+
+  async updateSinkSettings() {
+    const response = await this.sendMessage({
+      action: 'setSinkSettings',
+      settings: {
+        enabled: this.elements.sinkEnabled.checked,
+        url: this.elements.sinkUrl.value.trim() || this.elements.sinkUrl.placeholder,
+        batchSize: parseInt(this.elements.sinkBatchSize.value, 10) || undefined
+      }
+    });
+
+    if (response.success) {
+      this.renderSinkStatus(response.status);
+      this.showNotification('Collecteur mis a jour', 'info');
+    }
+  }
+
+  async refreshSinkStatus() {
+    const response = await this.sendMessage({ action: 'getSinkStatus' });
+    if (response && response.status) this.renderSinkStatus(response.status);
+  }
+
+  renderSinkStatus(status) {
+    const labels = {
+      disabled: 'Collecteur desactive',
+      // Connecte seulement après un envoi réussi
+      idle: status.lastSuccess
+        ? `Connecte (dernier envoi a ${new Date(status.lastSuccess).toLocaleTimeString()})`
+        : 'En attente du premier envoi',
+      sending: 'Envoi en cours',
+      offline: 'Collecteur injoignable'
+    };
+    const details = [];
+    if (status.state !== 'disabled') details.push(`${status.sent} envoyes`, `${status.queued} en attente`);
+    if (status.dropped > 0) details.push(`${status.dropped} abandonnes`);
+    if (status.state === 'offline') {
+      details.push(`${status.lastError}, nouvel essai a ${new Date(status.nextRetry).toLocaleTimeString()}`);
+    }
+
+    this.elements.sinkStatus.textContent = [labels[status.state], ...details].join(' - ');
+    this.elements.sinkStatus.style.color = status.state === 'offline' ? '#dc3545' : (status.state === 'disabled' ? '' : '#28a745');
+  }
+
   updateUI() {
     // Mettre à jour le statut
     if (this.isLogging) {
       this.elements.status.className = 'status logging';
-      this.elements.status.innerHTML = '<span>Logging actif</span><span id="logCount">' + this.logs.length + ' requetes</span>';
+      this.elements.status.innerHTML = '<span>Logging actif</span><span id="logCount">' + this.logCount + ' requetes</span>';
     } else {
       this.elements.status.className = 'status stopped';
-      this.elements.status.innerHTML = '<span>Logging arrete</span><span id="logCount">' + this.logs.length + ' requetes</span>';
+      this.elements.status.innerHTML = '<span>Logging arrete</span><span id="logCount">' + this.logCount + ' requetes</span>';
     }
 
     // Activer/désactiver les boutons
@@ -135,23 +606,18 @@ class PopupController {
   }
 
   async refreshStats() {
-    const response = await this.sendMessage({ action: 'getLogs' });
+    // Les statistiques sont calculées par le service worker : le popup ne charge pas tous les logs
+    const response = await this.sendMessage({ action: 'getStats' });
     
-    if (response.logs) {
-      this.logs = response.logs;
-      
-      // Calculer les statistiques
-      const stats = {
-        total: this.logs.length,
-        get: this.logs.filter(log => log.method === 'GET').length,
-        post: this.logs.filter(log => log.method === 'POST').length,
-        errors: this.logs.filter(log => log.error || (log.statusCode && log.statusCode >= 400)).length
-      };
+    if (response && response.stats) {
+      const stats = response.stats;
+      this.logCount = stats.total;
 
       // Mettre à jour l'affichage
       this.elements.totalRequests.textContent = stats.total;
       this.elements.getRequests.textContent = stats.get;
       this.elements.postRequests.textContent = stats.post;
+      this.elements.endpointCount.textContent = stats.endpoints;
       this.elements.errorRequests.textContent = stats.errors;
       
       // Mettre à jour le compteur dans le status
@@ -167,8 +633,11 @@ class PopupController {
     }
   }
 
-  updatePreview() {
-    const recentLogs = this.logs.slice(-10); // 10 derniers logs
+  async updatePreview() {
+    // 10 derniers logs, lus page par page depuis IndexedDB
+    const response = await this.sendMessage({ action: 'getLogs', offset: 0, limit: 10 });
+    this.logs = (response && response.logs) || [];
+    const recentLogs = [...this.logs].reverse();
     
     this.elements.previewContent.innerHTML = recentLogs
       .map(log => {
@@ -176,8 +645,8 @@ class PopupController {
         const statusText = log.statusCode ? `(${log.statusCode})` : (log.error ? '(Error)' : '');
         
         return `
-          <div class="log-entry ${isError ? 'error' : ''}">
-            <strong>${log.method}</strong> ${this.truncateUrl(log.url)} ${statusText}
+          <div class="log-entry ${isError ? 'error' : ''}" title="${this.escapeHtml(log.url)}">
+            <strong>${this.escapeHtml(log.method)}</strong> ${this.escapeHtml(this.truncateUrl(log.routeTemplate || log.url))} ${statusText}
             <br><small>${new Date(log.timestamp).toLocaleTimeString()}</small>
           </div>
         `;
@@ -203,12 +672,24 @@ class PopupController {
     }
   }
 
+  openPage(page) {
+    chrome.tabs.create({ url: chrome.runtime.getURL(page) });
+  }
+
   showNotification(message, type = 'info') {
     // Simple notification dans la console pour l'instant
     // Vous pouvez améliorer ceci avec une vraie notification
     console.log(`[${type.toUpperCase()}] ${message}`);
   }
 
+  escapeHtml(text) {
+    return String(text === undefined || text === null ? '' : text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
   async sendMessage(message) {
     return new Promise((resolve) => {
       chrome.runtime.sendMessage(message, resolve);
@@ -0,0 +1,182 @@
+// replay.js - Rejeu des requêtes capturées et comparaison des réponses
+class ReplayController {
+  constructor() {
+    this.logs = [];
+    this.selectedIds = new Set();
+    this.results = new Map();
+    this.replayer = null;
+    this.initElements();
+    this.initEventListeners();
+    this.loadLogs();
+  }
+
+  initElements() {
+    this.elements = {
+      targetBase: document.getElementById('targetBase'),
+      includeCredentials: document.getElementById('includeCredentials'),
+      ignoreFields: document.getElementById('ignoreFields'),
+      logFilter: document.getElementById('logFilter'),
+      selectAllBtn: document.getElementById('selectAllBtn'),
+      replayBtn: document.getElementById('replayBtn'),
+      reportMdBtn: document.getElementById('reportMdBtn'),
+      reportJsonBtn: document.getElementById('reportJsonBtn'),
+      summary: document.getElementById('summary'),
+      logRows: document.getElementById('logRows')
+    };
+  }
+
+  initEventListeners() {
+    this.elements.logFilter.addEventListener('input', () => this.renderRows());
+    this.elements.selectAllBtn.addEventListener('click', () => this.selectAllVisible());
+    this.elements.replayBtn.addEventListener('click', () => this.replaySelection());
+    this.elements.reportMdBtn.addEventListener('click', () => this.downloadReport('md'));
+    this.elements.reportJsonBtn.addEventListener('click', () => this.downloadReport('json'));
+
+    this.elements.logRows.addEventListener('change', (event) => {
+      const id = event.target.dataset.id;
+      if (!id) return;
+      if (event.target.checked) {
+        this.selectedIds.add(id);
+      } else {
+        this.selectedIds.delete(id);
+      }
+    });
+  }
+
+  async loadLogs() {
+    const logs = await new LogReader(message => this.sendMessage(message)).readAll();
+    // Seules les requêtes HTTP(S) complètes peuvent être rejouées
+    this.logs = logs.filter(log => log.method && /^https?:/.test(log.url || ''));
+    this.renderRows();
+  }
+
+  visibleLogs() {
+    const filter = this.elements.logFilter.value.trim().toLowerCase();
+    if (!filter) return this.logs;
+    return this.logs.filter(log => `${log.method} ${log.url}`.toLowerCase().includes(filter));
+  }
+
+  selectAllVisible() {
+    this.visibleLogs().forEach(log => this.selectedIds.add(log.id));
+    this.renderRows();
+  }
+
+  renderRows() {
+    this.elements.logRows.innerHTML = this.visibleLogs()
+      .map(log => {
+        const result = this.results.get(log.id);
+        return `
+          <tr>
+            <td><input type="checkbox" data-id="${this.escapeHtml(log.id)}" ${this.selectedIds.has(log.id) ? 'checked' : ''}></td>
+            <td>${this.escapeHtml(log.method)}</td>
+            <td class="url">${this.escapeHtml(log.url)}</td>
+            <td>${log.statusCode || (log.error ? 'Erreur' : '')}</td>
+            <td>${result ? this.renderResult(result) : ''}</td>
+          </tr>
+        `;
+      })
+      .join('');
+  }
+
+  renderResult(result) {
+    const labels = { identical: 'Identique', changed: 'Modifie', failed: 'Echec' };
+    let html = `<span class="result-${result.status}">${labels[result.status]}</span>`;
+
+    if (result.actualStatus !== undefined) {
+      html += ` (${result.actualStatus}, ${result.duration} ms)`;
+    }
+    if (result.error) {
+      html += `<br><small>${this.escapeHtml(result.error)}</small>`;
+    }
+    if (result.differences.length > 0) {
+      html += '<ul class="differences">' + result.differences
+        .map(difference => `<li>${this.escapeHtml(difference.path)} ${difference.kind}: ` +
+          `${this.escapeHtml(this.preview(difference.expected))} -&gt; ${this.escapeHtml(this.preview(difference.actual))}</li>`)
+        .join('') + '</ul>';
+    }
+    return html;
+  }
+
+  async replaySelection() {
+    const logs = this.logs.filter(log => this.selectedIds.has(log.id));
+    if (logs.length === 0) {
+      this.elements.summary.textContent = 'Aucune requete selectionnee';
+      return;
+    }
+
+    this.replayer = new RequestReplayer({
+      targetBase: this.elements.targetBase.value,
+      includeCredentials: this.elements.includeCredentials.checked,
+      ignoreFields: this.elements.ignoreFields.value.split('\n')
+    });
+
+    this.results.clear();
+    this.elements.replayBtn.disabled = true;
+    this.elements.summary.textContent = `Rejeu de ${logs.length} requetes...`;
+
+    try {
+      await this.replayer.replayAll(logs, (result) => {
+        this.results.set(result.id, result);
+        this.renderRows();
+      });
+      this.renderSummary();
+    } catch (e) {
+      this.elements.summary.textContent = `Rejeu interrompu: ${e.message}`;
+    } finally {
+      this.elements.replayBtn.disabled = false;
+      this.elements.reportMdBtn.disabled = this.results.size === 0;
+      this.elements.reportJsonBtn.disabled = this.results.size === 0;
+    }
+  }
+
+  renderSummary() {
+    const results = [...this.results.values()];
+    const count = status => results.filter(result => result.status === status).length;
+    this.elements.summary.textContent =
+      `${results.length} requetes rejouees : ${count('identical')} identiques, ` +
+      `${count('changed')} modifiees, ${count('failed')} en echec`;
+  }
+
+  downloadReport(format) {
+    const results = [...this.results.values()];
+    const date = new Date().toISOString().split('T')[0];
+    const content = format === 'md'
+      ? this.replayer.toMarkdown(results)
+      : JSON.stringify({
+        reportDate: new Date().toISOString(),
+        targetBase: this.replayer.targetBase,
+        results: results
+      }, null, 2);
+
+    const blob = new Blob([content], { type: format === 'md' ? 'text/markdown' : 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `replay-report-${date}.${format}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+
+  preview(value) {
+    const text = value === undefined ? 'undefined' : JSON.stringify(value);
+    return text.length > 80 ? text.substring(0, 77) + '...' : text;
+  }
+
+  escapeHtml(text) {
+    return String(text === undefined || text === null ? '' : text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  async sendMessage(message) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(message, resolve);
+    });
+  }
+}
+
+// Initialiser le contrôleur quand la page est chargée
+document.addEventListener('DOMContentLoaded', () => {
+  new ReplayController();
+});
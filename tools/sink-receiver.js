@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+// tools/sink-receiver.js - Collecteur de référence pour l'envoi des logs (option "collecteur" du popup)
+// Reçoit les lots NDJSON envoyés par l'extension et les ajoute à un fichier NDJSON.
+//
+// Usage : node tools/sink-receiver.js [port] [fichier]
+//         node tools/sink-receiver.js 4000 api-logs.ndjson
+// Puis dans le popup : http://localhost:4000/ingest
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const port = parseInt(process.argv[2] || process.env.PORT || '4000', 10);
+const outputFile = path.resolve(process.argv[3] || process.env.OUTPUT || 'api-logs.ndjson');
+const MAX_BODY_BYTES = 50 * 1024 * 1024;
+
+// Accepte du NDJSON, un tableau JSON ou un objet JSON seul -> une entrée par ligne
+function parseEntries(body) {
+  const text = body.trim();
+  if (!text) return [];
+  if (text.startsWith('[')) return JSON.parse(text);
+  return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+}
+
+function send(res, status, payload) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  res.end(payload === undefined ? '' : JSON.stringify(payload));
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') return send(res, 204);
+  if (req.method !== 'POST' || req.url.split('?')[0] !== '/ingest') {
+    return send(res, 404, { error: 'POST /ingest attendu' });
+  }
+
+  const chunks = [];
+  let size = 0;
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      send(res, 413, { error: 'Lot trop volumineux' });
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+
+  req.on('end', () => {
+    let entries;
+    try {
+      entries = parseEntries(Buffer.concat(chunks).toString('utf8'));
+    } catch (e) {
+      return send(res, 400, { error: `JSON invalide: ${e.message}` });
+    }
+
+    const lines = entries.map(entry => JSON.stringify(entry) + '\n').join('');
+    fs.appendFile(outputFile, lines, error => {
+      if (error) {
+        console.error('Ecriture impossible:', error.message);
+        return send(res, 500, { error: error.message });
+      }
+      console.log(`${new Date().toISOString()} ${entries.length} logs recus`);
+      send(res, 200, { received: entries.length });
+    });
+  });
+});
+
+server.listen(port, 'localhost', () => {
+  console.log(`Collecteur API Logger sur http://localhost:${port}/ingest -> ${outputFile}`);
+});